@@ -7,19 +7,55 @@ require(
   "esri/widgets/Expand",
   "esri/widgets/Editor",
   "esri/renderers/support/jsonUtils",
-  "esri/symbols/support/jsonutils"
+  "esri/symbols/support/jsonutils",
+  "esri/geometry/support/webMercatorUtils",
+  "esri/PopupTemplate",
+  "esri/layers/support/LabelClass",
+  "esri/layers/GroupLayer",
+  "esri/widgets/LayerList",
+  "esri/Viewpoint",
+  "esri/symbols/support/symbolUtils",
+  "esri/Graphic",
+  "esri/arcade",
+  "esri/layers/support/FeatureTemplate",
+  "esri/geometry/projection",
+  "esri/geometry/SpatialReference",
+  "esri/geometry/Point",
+  "esri/geometry/support/jsonUtils",
+  "esri/geometry/geometryEngine",
+  "esri/layers/support/Field",
+  "./storage.js",
+  "./sync.js"
 ] , (
-  Map,
+  EsriMap,
   MapView,
   FeatureLayer,
   FeatureSet,
   Expand,
   Editor,
   rendererJsonUtils,
-  symbolJsonUtils
+  symbolJsonUtils,
+  webMercatorUtils,
+  PopupTemplate,
+  LabelClass,
+  GroupLayer,
+  LayerList,
+  Viewpoint,
+  symbolUtils,
+  Graphic,
+  arcade,
+  FeatureTemplate,
+  projection,
+  SpatialReference,
+  Point,
+  geometryJsonUtils,
+  geometryEngine,
+  Field,
+  projectStorageModule,
+  syncModule
 ) => {
 
-  import Map from "@arcgis/core/Map";
+  import EsriMap from "@arcgis/core/Map";
   import MapView from "@arcgis/core/views/MapView";
   import FeatureLayer from "@arcgis/core/layers/FeatureLayer";
   import FeatureSet from "@arcgis/core/rest/support/FeatureSet";
@@ -27,25 +63,101 @@ require(
   import Editor from "@arcgis/core/widgets/Editor";
   import * as rendererJsonUtils from "@arcgis/core/renderers/support/jsonUtils";
   import * as symbolJsonUtils from "@arcgis/core/symbols/support/jsonUtils";
+  import * as webMercatorUtils from "@arcgis/core/geometry/support/webMercatorUtils";
+  import PopupTemplate from "@arcgis/core/PopupTemplate";
+  import LabelClass from "@arcgis/core/layers/support/LabelClass";
+  import GroupLayer from "@arcgis/core/layers/GroupLayer";
+  import LayerList from "@arcgis/core/widgets/LayerList";
+  import Viewpoint from "@arcgis/core/Viewpoint";
+  import * as symbolUtils from "@arcgis/core/symbols/support/symbolUtils";
+  import Graphic from "@arcgis/core/Graphic";
+  import * as arcade from "@arcgis/core/arcade";
+  import FeatureTemplate from "@arcgis/core/layers/support/FeatureTemplate";
+  import * as projection from "@arcgis/core/geometry/projection.js";
+  import SpatialReference from "@arcgis/core/geometry/SpatialReference.js";
+  import Point from "@arcgis/core/geometry/Point.js";
+  import * as geometryJsonUtils from "@arcgis/core/geometry/support/jsonUtils.js";
+  import * as geometryEngine from "@arcgis/core/geometry/geometryEngine.js";
+  import Field from "@arcgis/core/layers/support/Field.js";
 
-  //Global variables holding handles for current project directories
-  var projectDirectoryHandle;
-  var projectFeaturesDirectoryHandle;
-  var projectSymbolsDirectoryHandle;
-  var projectRenderersDirectoryHandle;
-  var projectLayersDirectoryHandle;
+  //The project storages and the zip functions are kept in storage.js, which can be tested outside of the browser
+  const {FileSystemAccessStorage, OriginPrivateStorage, IndexedDBStorage, MemoryStorage, writeZip, splitProjectPath} =
+    projectStorageModule;
+  //Syncing features with the service they were downloaded from is kept in sync.js, tested against a mock service
+  const {getLocalChanges, syncFeatures} = syncModule;
+
+  //Global variables holding the storage that the files of the current project are read from and written to, and the
+  //project document describing how the project is displayed
+  var projectStorage;
+  var projectDocument;
 
   //Global variables holding arrays of current project objects
   var projectFeatures = [];
   var projectLayers = [];
   var projectRenderers = [];
   var projectSymbols = [];
+  var projectPopups = [];
+
+  //Global variables holding problems found while loading the project and the references between project files
+  var projectProblems = [];
+  var projectDependencies = new Map();
+
+  //Global variables used to detect project files changing on disk: the last modified time of every file seen in the
+  //project directories, and the timer that checks them.
+  var knownFileTimes = new Map();
+  var fileWatchTimer;
+  var checkingForChanges = false;
+
+  //Global variable holding the note added to the project status while checking for changes fails, so the failure is
+  //only reported once
+  var fileWatchError;
+
+  //Global variables holding the worker that parses large JSON files off the main thread, and the requests waiting for
+  //it by id
+  var jsonWorker;
+  var jsonWorkerRequests = new Map();
+  var jsonWorkerNextId = 0;
+
+  //Global variable holding how many project files are read or loaded at the same time while opening a project
+  var projectFileLoadLimit = 4;
+
+  //Global variable holding the edit sessions of every editable layer
+  var editSessions = [];
+
+  //Global variable holding a parsed CSV file while the CSV import window is open
+  var pendingCSVTable;
+
+  //Global variables holding the classes of the renderer being built and the temporary layer previewing it
+  var rendererBuilderClasses = [];
+  var rendererBuilderPreview;
+
+  //Global variables holding the symbol open in the symbol editor, undefined for a new symbol, and the image chosen
+  //for a picture marker
+  var editingSymbol;
+  var symbolEditorImage;
+
+  //Global variables holding the recorded versions of every file in the History directory (a promise of a Map of path
+  //to versions, newest first, read once per project) and the number of versions kept of each file
+  var historyIndex;
+  var historyVersionLimit = 20;
+
+  //Global variable holding the function that passes the user's conflict choices to the sync waiting for them
+  var pendingConflictResolution;
+
+  //Global variable holding the layer, features, sort order, filters and selection of the open attribute table
+  var attributeTableState;
+
+  //Global variable holding the features that break the project's validation rules
+  var validationIssues = [];
+
+  //Global variable holding the feature whose attachments are shown in the attachments window
+  var attachmentState;
 
   class ProjectFileAbstract {
     /**
      * Root abstract class that handles the implementation of project files including layers, features, renderers and 
      * symbols. The constructor should not be called directly, insted the create builder method should be used.
-     * @param {FileHandle} handle File handle from file access system API that is used to construct the object.
+     * @param {StorageFileHandle} handle Handle to the file in project storage that is used to construct the object.
      * @param {Object} fileParams Object containing the JSON object, file and fileText references derived from the 
      * handle. 
      */
@@ -58,135 +170,313 @@ require(
     }
     /**
      * Method that uses input handle to derive fileParams object.
-     * @param {FileHandle} handle 
-     * @returns {Object} fileParams object that will be used in the object constructor.
+     * @param {StorageFileHandle} handle 
+     * @returns {Object} fileParams object that will be used in the object constructor. The file property holds the
+     * name and lastModified time of the file.
      */
     static async getFileParams(handle) {
-      const file = await handle.getFile();
-      const fileText =  await file.text();
-      const object = await JSON.parse( fileText );
-      return {file: file, fileText: fileText, object: object};
+      const {text, lastModified} = await handle.read();
+      const fileText = text;
+      const object = await parseJSON( fileText );
+      return {file: {name: handle.name, lastModified: lastModified}, fileText: fileText, object: object};
     }
     /**
      * Builder method  used to contructnew objects of this class. This should be called using await to ensure that 
      * properties will resolved once they are called.
-     * @param {FileHandle} handle 
+     * @param {StorageFileHandle} handle 
+     * @param {Object} fileParams Optional fileParams that have already been read from the handle.
      * @returns {ProjectFileAbstract} new instance of this class.
      */
-    static async create(handle) {
-      const fileParams = await this.getFileParams(handle);
+    static async create(handle, fileParams = undefined) {
+      fileParams = fileParams || await this.getFileParams(handle);
 
       const newObject = await new this(handle, fileParams);
 
       return newObject;
     }
+    /**
+     * Re-reads the file behind this object, refreshing the object, file and fileText properties.
+     */
+    async reload() {
+      const fileParams = await this.constructor.getFileParams(this.handle);
+      this.object = fileParams.object;
+      this.file = fileParams.file;
+      this.fileText = fileParams.fileText;
+    }
+    /**
+     * Removes this object from the project. The file itself is not deleted.
+     */
+    remove() {
+      const projectFiles = getProjectFileList(this.constructor.directoryName);
+      projectFiles.splice(projectFiles.indexOf(this), 1);
+    }
+    /**
+     * Path of the file within the project, made up of the project directory and file name.
+     * @returns {string}
+     */
+    get path() {
+      return `${this.constructor.directoryName}/${this.name}`;
+    }
   }
 
   class ProjectLayer extends ProjectFileAbstract {
     /**
      * Class that represents a feature layer within the project. The source file is derived from custom JSON syntax that
      * describes the features used in addition to the renderer and options involved in the feature layer.
-     * @param {FileHandle} layerHandle inherited
+     * @param {StorageFileHandle} layerHandle inherited
      * @param {Object} fileParams inherited
      * @param {ProjectFeatures} sourceFeatures The project feature representation that will be rendered by this layer.
      * @param {FeatureSet} sourceFS FeatureSet derived from the sourceFeatures object.
      * @param {ProjectRenderer} renderer The renderer that will be used to symbolize features in this layer.
      * @param {FeatureLayer} featureLayer The actual ESRI feature layer class created by this layer.
+     * @param {ProjectPopup} popup The popup file used by this layer, if the popup template isn't defined inline.
      */
-    constructor (layerHandle, fileParams, sourceFeatures, sourceFS, renderer, featureLayer) {
+    constructor (layerHandle, fileParams, sourceFeatures, sourceFS, renderer, featureLayer, popup = undefined) {
       super(layerHandle, fileParams);
 
       this.sourceFeature =  sourceFeatures;
       this.sourceFS = sourceFS;
       this.renderer = renderer;
+      this.popup = popup;
 
       this.featureLayer = featureLayer;
 
-      //Create listener for this layer which will trigger a save event for the client side files whenver the layer is
-      //edited within the application.
-      //TODO: This save method is fairly ineffectient as it copies and rewrites the entire JSON file for every feature /////edit. A save/discard edits widget should be implemented in addition to more targeted file editing.
-      this.featureLayer.on("edits", async () => {
-        this.sourceFS = await featureLayer.queryFeatures();
-
-        const editFeatureWritable = await this.sourceFeature.handle.createWritable();
-        await editFeatureWritable.write(JSON.stringify( this.sourceFS.toJSON() ));
-        await editFeatureWritable.close();
-      });
+      //Edits made within the application are buffered until the user saves or discards them, by an edit session shared
+      //with every other layer drawing the same features file.
+      this.editSession = this.sourceFeature ? EditSession.forFeature(this.sourceFeature) : undefined;
+      if (this.editSession) {
+        this.editSession.addLayer(this);
+      }
 
       map.add(this.featureLayer);
 
       //Ensure the application has a reference to this new object
       projectLayers.push(this);
     }
+    /**
+     * Name of the project directory holding layer files.
+     * @returns {string}
+     */
+    static get directoryName() {
+      return "Layers";
+    }
     /**
      * Builder method used to construct new instances of this class. Should be called by await.
-     * @param {FileHandle} handle 
+     * @param {StorageFileHandle} handle 
+     * @param {Object} fileParams Optional fileParams that have already been read from the handle.
      * @returns {ProjectLayer} New instance of this class.
      */
-    static async create(handle) {
-      const fileParams = await this.getFileParams(handle);
+    static async create(handle, fileParams = undefined) {
+      fileParams = fileParams || await this.getFileParams(handle);
 
       //Ensure that features and renderer have been created before using them in constructor.
       let sourceFeatures, sourceFS;
       if (fileParams.object.featureSet) {
         sourceFeatures = await projectFeatures.find(element => element.name == fileParams.object.featureSet);
+        if (!sourceFeatures) {
+          throw new Error(`Features file "${fileParams.object.featureSet}" is not loaded in the project`);
+        }
         sourceFS =  await sourceFeatures.fs;
       }
       let renderer;
       if (fileParams.object.renderer) {
         renderer = await projectRenderers.find(element => element.name == fileParams.object.renderer);
+        if (!renderer) {
+          throw new Error(`Renderer file "${fileParams.object.renderer}" is not loaded in the project`);
+        }
+      }
+      //Popup templates are either a file name in the Popups directory or an inline popupInfo object.
+      let popup;
+      if (typeof fileParams.object.popupTemplate == "string" && fileParams.object.popupTemplate != "") {
+        popup = projectPopups.find(element => element.name == fileParams.object.popupTemplate);
+        if (!popup) {
+          throw new Error(`Popup file "${fileParams.object.popupTemplate}" is not loaded in the project`);
+        }
       }
 
-      //TODO: undefined in ternaries here should be replaced by a default. Currently they override the actual default
-      const featureLayer = new FeatureLayer({
-        source: sourceFeatures ? sourceFeatures.fs.features : undefined,
-        fields: sourceFeatures ? sourceFeatures.fs.fields : undefined,
-        renderer: renderer ? renderer.rendererObject : undefined,
-        editingEnabled:  (fileParams.object.editingEnabled != undefined) ? fileParams.object.editingEnabled : true,
-        title: handle.name,
-      });
+      const featureLayer = new FeatureLayer(this.getLayerProperties(handle, fileParams.object, sourceFeatures,
+        renderer, popup));
 
-      const newObject = new this(handle, fileParams, sourceFeatures, sourceFS, renderer, featureLayer);
+      const newObject = new this(handle, fileParams, sourceFeatures, sourceFS, renderer, featureLayer, popup);
+      //The layer list can create the item of the layer before the layer is in projectLayers, without its warnings.
+      refreshLayerListWarnings();
 
       return newObject;
     }
+    /**
+     * Translates the custom layer JSON into FeatureLayer properties. Only keys present in the JSON are set so that the
+     * FeatureLayer defaults apply to everything else.
+     * @param {StorageFileHandle} handle 
+     * @param {Object} layerObject Parsed layer JSON.
+     * @param {ProjectFeature} sourceFeatures 
+     * @param {ProjectRenderer} renderer 
+     * @param {ProjectPopup} popup 
+     * @returns {Object} Properties for the FeatureLayer constructor.
+     */
+    static getLayerProperties(handle, layerObject, sourceFeatures, renderer, popup) {
+      const properties = {
+        title: layerObject.title || handle.name,
+        //Nothing can be edited in a project opened read-only.
+        editingEnabled: !isProjectReadOnly() &&
+          ((layerObject.editingEnabled != undefined) ? layerObject.editingEnabled : true),
+      };
+
+      if (sourceFeatures) {
+        //Layers drawing features that are being edited start from the edited features.
+        const editSession = editSessions.find( (session) => session.projectFeature == sourceFeatures );
+        properties.source = editSession ? editSession.getFeatures() : sourceFeatures.fs.features;
+        //Field aliases in the layer only change how fields are displayed, not the features file.
+        const aliases = layerObject.fieldAliases || {};
+        properties.fields = sourceFeatures.fs.fields.map( (field) => {
+          const layerField = field.clone();
+          if (aliases[field.name]) {
+            layerField.alias = aliases[field.name];
+          }
+          return layerField;
+        });
+
+        //New features created with the Editor start with the default values of the features file's fields.
+        const defaults = {};
+        sourceFeatures.fs.fields.forEach( (field) => {
+          if (field.defaultValue != null) {
+            defaults[field.name] = field.defaultValue;
+          }
+        });
+        if (Object.keys(defaults).length > 0) {
+          const drawingTools = {point: "point", multipoint: "point", polyline: "line", polygon: "polygon"};
+          properties.templates = [new FeatureTemplate({
+            name: properties.title,
+            drawingTool: drawingTools[sourceFeatures.fs.geometryType],
+            prototype: {attributes: defaults},
+          })];
+        }
+      }
+      if (renderer) {
+        properties.renderer = renderer.rendererObject;
+      }
+      if (popup) {
+        properties.popupTemplate = popup.popupTemplate;
+      } else if (layerObject.popupTemplate && typeof layerObject.popupTemplate == "object") {
+        properties.popupTemplate = PopupTemplate.fromJSON(layerObject.popupTemplate);
+      }
+      if (Array.isArray(layerObject.labelingInfo)) {
+        properties.labelingInfo = layerObject.labelingInfo.map( (labelClass) => LabelClass.fromJSON(labelClass) );
+        properties.labelsVisible = true;
+      }
+
+      //Options that map directly onto FeatureLayer properties.
+      ["definitionExpression", "minScale", "maxScale", "opacity", "visible"].forEach( (key) => {
+        if (layerObject[key] != undefined) {
+          properties[key] = layerObject[key];
+        }
+      });
+
+      return properties;
+    }
+    /**
+     * Applies the current renderer and popup template of the files this layer references to the feature layer, used
+     * when those files have been reloaded.
+     */
+    applyReferencedFiles() {
+      if (this.renderer) {
+        this.featureLayer.renderer = this.renderer.rendererObject;
+      }
+      if (this.popup) {
+        this.featureLayer.popupTemplate = this.popup.popupTemplate;
+      }
+    }
+    /**
+     * Removes this layer from the project and the map, along with its edit session.
+     */
+    remove() {
+      super.remove();
+      getLayerParent(this.featureLayer).remove(this.featureLayer);
+      if (attributeTableState && attributeTableState.projectLayer == this) {
+        closeAttributeTable();
+      }
+      if (this.editSession) {
+        this.editSession.removeLayer(this);
+      }
+    }
   }
 
   class ProjectFeature extends ProjectFileAbstract {
     /**
      * Class that represents features to be used by layers within the project.
-     * @param {FileHandle} featureHandle inherited
+     * @param {StorageFileHandle} featureHandle inherited
      * @param {Object} fileParams inherited
      * @param {FeatureSet} fs Actual ESRI FeatureSet represented by this object.
+     * @param {Object} spatialInfo The wkid of the file and any problems placing its features, from
+     * inspectSpatialReference.
      */
-    constructor (featureHandle, fileParams, fs) {
+    constructor (featureHandle, fileParams, fs, spatialInfo) {
       super(featureHandle, fileParams);
 
       this.fs = fs;
+      this.spatialInfo = spatialInfo;
 
       //Ensure that a reference to this new object is retained and locatable.
       projectFeatures.push(this);
     }
+    /**
+     * Name of the project directory holding features files.
+     * @returns {string}
+     */
+    static get directoryName() {
+      return "Features";
+    }
     /**
      * Builder method that creates new instance of this class.
-     * @param {FileHandle} handle 
+     * @param {StorageFileHandle} handle 
+     * @param {Object} fileParams Optional fileParams that have already been read from the handle.
      * @returns {ProjectFeature}
      */
-    static async create(handle) {
-      const fileParams = await this.getFileParams(handle);
+    static async create(handle, fileParams = undefined) {
+      fileParams = fileParams || await this.getFileParams(handle);
 
-      const fs = await FeatureSet.fromJSON(fileParams.object);
+      const fs = await featureSetFromJSON(fileParams.object);
+      const spatialInfo = await inspectSpatialReference(fileParams.object);
 
-      const newObject = await new this(handle, fileParams, fs);
+      const newObject = await new this(handle, fileParams, fs, spatialInfo);
 
       return newObject;
     }
+    /**
+     * Re-reads the features file, replacing the FeatureSet with the version currently saved on disk.
+     */
+    async reload() {
+      await super.reload();
+      this.fs = await featureSetFromJSON(this.object);
+      this.spatialInfo = await inspectSpatialReference(this.object);
+
+      //Layers created from now on start from the new contents of the file, unless there are edits to keep.
+      const editSession = editSessions.find( (session) => session.projectFeature == this );
+      if (editSession && editSession.pendingCount == 0) {
+        editSession.resetFeatures();
+      }
+    }
+    /**
+     * Brings the object up to date after the application wrote new contents to the features file, without reading and
+     * parsing the file again.
+     * @param {Object} object The contents that were written.
+     * @param {string} fileText The text that was written.
+     * @param {Graphic[]} features The written features, in the same order as in object.
+     */
+    async updateSavedContents(object, fileText, features) {
+      const entries = await this.handle.storage.listFiles(this.handle.directoryName);
+      const entry = entries.find( (element) => element.name == this.name );
+      this.object = object;
+      this.fileText = fileText;
+      this.file = {name: this.name, lastModified: entry.lastModified};
+      this.fs.features = features.map( (feature) => feature.clone() );
+      this.spatialInfo = await inspectSpatialReference(object);
+    }
   }
 
   class ProjectRenderer extends ProjectFileAbstract {
     /**
      * Class that represents a renderer to be used by layers within the project.
-     * @param {FileHandle} rendererHandle inherited
+     * @param {StorageFileHandle} rendererHandle inherited
      * @param {Object} fileParams inherited 
      * @param {Object} parsedObject A copy of fileParams.object, but with symbol file strings replaced by symbol objects 
      * @param {Renderer} rendererObject The actual ESRI renderer object that is represented
@@ -201,54 +491,85 @@ require(
       projectRenderers.push(this);
     }
     /**
-     * Builder method that returns an actual instance of the class. Should be called using await.
-     * @param {FileHandle} handle 
-     * @returns {ProjectRenderer}
+     * Name of the project directory holding renderer files.
+     * @returns {string}
      */
-    static async create(handle){
-      /**
-       * Function responsible for iterating through the object JSON and replacing symbol file strings with actual objects
-       * @param {Object} objectToParse 
-       * @returns {Object}
-       */
-      function parseSymbolKeys (objectToParse) {
-        for (const key in objectToParse) {
-          const value = objectToParse[key];
-          const valueType = typeof value;
-          if (["symbol", "defaultSymbol"].includes(key)) {
-            if ( value != "" && valueType == "string" ) {
-              //Find the symbol and add it as an object.
-              const newSymbol = projectSymbols.find(element => element.name == value);
-              objectToParse[key] = newSymbol.symbolObject.toJSON();
-            }
-          } else {
-            //Keep looking through sub-objects in case symbol is inside of an infos object
-            if (typeof value == "object") {
-              parseSymbolKeys(value);
+    static get directoryName() {
+      return "Renderers";
+    }
+    /**
+     * Function responsible for iterating through the object JSON and replacing symbol file strings with actual objects
+     * @param {Object} objectToParse 
+     * @returns {Object}
+     */
+    static parseSymbolKeys(objectToParse) {
+      for (const key in objectToParse) {
+        const value = objectToParse[key];
+        const valueType = typeof value;
+        if (["symbol", "defaultSymbol"].includes(key)) {
+          if ( value != "" && valueType == "string" ) {
+            //Find the symbol and add it as an object.
+            const newSymbol = projectSymbols.find(element => element.name == value);
+            if (!newSymbol) {
+              throw new Error(`Symbol file "${value}" is not loaded in the project`);
             }
+            objectToParse[key] = newSymbol.symbolObject.toJSON();
+          }
+        } else {
+          //Keep looking through sub-objects in case symbol is inside of an infos object
+          if (typeof value == "object") {
+            this.parseSymbolKeys(value);
           }
         }
-        return objectToParse;
       }
-
-      const fileParams = await this.getFileParams(handle);
-
+      return objectToParse;
+    }
+    /**
+     * Builds the ESRI renderer described by a renderer file's JSON object.
+     * @param {Object} object Renderer JSON that may contain symbol file names.
+     * @returns {Object} Object holding the parsedObject and rendererObject.
+     */
+    static buildRenderer(object) {
       //Start iteration to search for symbol file strings inside the renderer object
-      const parsedObject = await parseSymbolKeys(fileParams.object);
+      const parsedObject = this.parseSymbolKeys(object);
 
       //Create the renderer object using the ESRI utils function in order to properly read the renderer type.
-      const rendererObject = await rendererJsonUtils.fromJSON(parsedObject);
+      const rendererObject = rendererJsonUtils.fromJSON(parsedObject);
+      if (!rendererObject) {
+        throw new Error(`Unrecognized renderer type "${parsedObject.type}"`);
+      }
+      return {parsedObject: parsedObject, rendererObject: rendererObject};
+    }
+    /**
+     * Builder method that returns an actual instance of the class. Should be called using await.
+     * @param {StorageFileHandle} handle 
+     * @param {Object} fileParams Optional fileParams that have already been read from the handle.
+     * @returns {ProjectRenderer}
+     */
+    static async create(handle, fileParams = undefined) {
+      fileParams = fileParams || await this.getFileParams(handle);
+
+      const {parsedObject, rendererObject} = this.buildRenderer(fileParams.object);
 
       const newObject = await new this(handle, fileParams, parsedObject, rendererObject);
 
       return newObject;
     }
+    /**
+     * Re-reads the renderer file and rebuilds the renderer, picking up changes to the file or the symbols it uses.
+     */
+    async reload() {
+      await super.reload();
+      const {parsedObject, rendererObject} = this.constructor.buildRenderer(this.object);
+      this.parsedObject = parsedObject;
+      this.rendererObject = rendererObject;
+    }
   }
 
   class ProjectSymbol extends ProjectFileAbstract {
     /**
      * Class that represents symbols that are utilized by features and renderers within the project.
-     * @param {FileHandle} symbolHandle inherited 
+     * @param {StorageFileHandle} symbolHandle inherited 
      * @param {Object} fileParams inherited 
      * @param {Symbol} symbolObject Actual ESRI Symbol object that is being represented.
      */
@@ -260,222 +581,6250 @@ require(
       //Ensure that a reference to this instance is maintained with the project and is locatable.
       projectSymbols.push(this);
     }
+    /**
+     * Name of the project directory holding symbol files.
+     * @returns {string}
+     */
+    static get directoryName() {
+      return "Symbols";
+    }
     /**
      * Builder method that is used to construct a new instance of this class. Should be called using await.
-     * @param {FileHandle} handle 
+     * @param {StorageFileHandle} handle 
+     * @param {Object} fileParams Optional fileParams that have already been read from the handle.
      * @returns {ProjectSymbol}
      */
-    static async create(handle) {
-      const fileParams = await this.getFileParams(handle);
+    static async create(handle, fileParams = undefined) {
+      fileParams = fileParams || await this.getFileParams(handle);
 
       //Use the utils function to ensure that a symbol of the proper type is returned.
       const symbolObject = symbolJsonUtils.fromJSON(fileParams.object);
+      if (!symbolObject) {
+        throw new Error(`Unrecognized symbol type "${fileParams.object.type}"`);
+      }
 
       const newObject = await new this(handle, fileParams, symbolObject);
 
       return newObject;
     }
+    /**
+     * Re-reads the symbol file and rebuilds the symbol.
+     */
+    async reload() {
+      await super.reload();
+      const symbolObject = symbolJsonUtils.fromJSON(this.object);
+      if (!symbolObject) {
+        throw new Error(`Unrecognized symbol type "${this.object.type}"`);
+      }
+      this.symbolObject = symbolObject;
+    }
   }
 
-  /**
-   * Function that saves an object as a JSON file using showSaveFilePicker
-   * @param Object object to be saved as the contents 
-   * @returns {FileHandle} The file handle of the new file that was just saved.
-   */
-  async function saveAsJSON(inputObj, start = undefined) {
-    //Open the picker window
-    const saveHandle = await window.showSaveFilePicker({
-      id: "saveJSON",
-      suggestedName: "Unnamed.json",
-      types: [{ //ensure file can only be saved as JSON
-        description: "JSON File",
-        accept: {
-          "application/json": [".json"]
-        },
-      startIn: start,
-      }]
-    });
-    const saveWritable = await saveHandle.createWritable();
-    await saveWritable.write(JSON.stringify(inputObj));
-    await saveWritable.close();
-    return saveHandle;
-  }
+  class ProjectPopup extends ProjectFileAbstract {
+    /**
+     * Class that represents a popup template that can be shared by layers within the project. The file uses the
+     * popupInfo JSON format of the ESRI web map specification.
+     * @param {StorageFileHandle} popupHandle inherited 
+     * @param {Object} fileParams inherited 
+     * @param {PopupTemplate} popupTemplate Actual ESRI PopupTemplate object that is being represented.
+     */
+    constructor (popupHandle, fileParams, popupTemplate) {
+      super(popupHandle, fileParams);
 
-  /**
-   * Gets the JSON notation of a feature layer from a url and saves it as a client file
-   */
-  function downloadFeatureAsJSON() {
-    const dlLoc = document.getElementById("download-feature-input").value;
-    const dlLayer = new FeatureLayer({ url: dlLoc});
-    const dlFS = dlLayer.queryFeatures();
-    dlFS.then( (fs) => {
-      const dlJSON = fs.toJSON();
-      saveAsJSON(dlJSON);
-    });
-  }
+      this.popupTemplate = popupTemplate;
 
-  /**
-   * Function responsible for selecting a project direcotry, ensuring that it has the appropriate structure and the then
-   * adding any contents to the map.
-   */
-  async function connectProjectFolder() {
-    //Allow the user to select a directory (requests read access)
-    projectDirectoryHandle = await window.showDirectoryPicker();
-    document.getElementById("connect-folder-button").innerHTML =  `connected to: ${projectDirectoryHandle.name}`;
+      //Ensure that a reference to this instance is maintained with the project and is locatable.
+      projectPopups.push(this);
+    }
+    /**
+     * Name of the project directory holding popup files.
+     * @returns {string}
+     */
+    static get directoryName() {
+      return "Popups";
+    }
+    /**
+     * Builder method that is used to construct a new instance of this class. Should be called using await.
+     * @param {StorageFileHandle} handle 
+     * @param {Object} fileParams Optional fileParams that have already been read from the handle.
+     * @returns {ProjectPopup}
+     */
+    static async create(handle, fileParams = undefined) {
+      fileParams = fileParams || await this.getFileParams(handle);
 
-    //Creates the directory structure if  non-existant and build references (requests write access to entire project 
-    //directory)
-    projectFeaturesDirectoryHandle = await projectDirectoryHandle.getDirectoryHandle("Features", {create: true});
-    projectRenderersDirectoryHandle = await projectDirectoryHandle.getDirectoryHandle("Renderers", {create: true});
-    projectSymbolsDirectoryHandle = await projectDirectoryHandle.getDirectoryHandle("Symbols", {create: true});
-    projectLayersDirectoryHandle = await projectDirectoryHandle.getDirectoryHandle("Layers", {create: true});
+      const popupTemplate = PopupTemplate.fromJSON(fileParams.object);
 
-    //Read contents of each directory, adding any files to the project.
-    //Order is impportant to ensure that appropriate objects are created before being called.
-    for await (const entry of projectSymbolsDirectoryHandle.values()) {
-      if (entry.kind == "file") {
-        const entryHandle = await projectSymbolsDirectoryHandle.getFileHandle(entry.name);
-        await ProjectSymbol.create(entryHandle);
-      }
+      const newObject = await new this(handle, fileParams, popupTemplate);
+
+      return newObject;
+    }
+    /**
+     * Re-reads the popup file and rebuilds the popup template.
+     */
+    async reload() {
+      await super.reload();
+      this.popupTemplate = PopupTemplate.fromJSON(this.object);
     }
+  }
+
+  class ProjectDocument {
+    /**
+     * Represents the project.json file at the root of the project, which records the basemap, the saved view, the
+     * spatial reference features are expected in, the validation rules and the draw order, grouping and visibility of
+     * the project's layers. Validation rules are listed as {"mode": "warn" or "block", "rules": [...]}.
+     * Layers are listed from bottom to top, either as {"layer": fileName, "visible": boolean} or as
+     * {"group": title, "visible": boolean, "layers": [...]}.
+     * @param {StorageFileHandle} handle Handle to project.json in the project storage.
+     * @param {Object} object Parsed contents of project.json.
+     * @param {boolean} saveEnabled False if the existing file couldn't be parsed and must not be overwritten.
+     */
+    constructor (handle, object, saveEnabled = true) {
+      this.handle = handle;
+      this.object = Object.assign({basemap: "osm", spatialReference: {wkid: 4326}, layers: [],
+        validation: {mode: "warn", rules: []}}, object);
+      this.saveEnabled = saveEnabled;
+      this.saveTimer = undefined;
 
-    for await (const entry of projectRenderersDirectoryHandle.values()) {
-      if (entry.kind == "file") {
-        const entryHandle = await projectRenderersDirectoryHandle.getFileHandle(entry.name);
-        await ProjectRenderer.create(entryHandle);
+      //The document as last read or written, so saving can be skipped when nothing changed.
+      this.savedText = JSON.stringify(this.object);
+    }
+    /**
+     * Builder method that reads project.json from a project storage, using defaults if the project doesn't have one.
+     * @param {ProjectStorageAbstract} storage 
+     * @returns {ProjectDocument}
+     */
+    static async load(storage) {
+      const handle = storage.getFileHandle("", "project.json");
+      let text;
+      try {
+        ({text} = await handle.read());
+      } catch (error) {
+        return new this(handle, {}, !storage.readOnly);
       }
+      let newDocument;
+      try {
+        newDocument = new this(handle, JSON.parse(text), !storage.readOnly);
+      } catch (error) {
+        reportProblem("project.json", `Could not be read, layer list changes won't be saved: ${error.message}`);
+        return new this(handle, {}, false);
+      }
+      //Rules that can't be evaluated are kept in the file but skipped when validating.
+      newDocument.object.validation.rules.forEach( (rule) => {
+        const problem = getValidationRuleProblem(rule);
+        if (problem) {
+          reportProblem("project.json", `The validation rule ${describeValidationRule(rule)} is skipped: ${problem}`);
+        }
+      });
+      return newDocument;
     }
+    /**
+     * Applies the basemap and layer arrangement to the map, and the saved view to the view.
+     * @returns {boolean} True if a saved view was applied.
+     */
+    applyToMap() {
+      map.basemap = this.object.basemap;
+      document.getElementById("basemap-select").value = this.object.basemap;
+      document.getElementById("project-wkid-input").value = this.object.spatialReference.wkid;
+
+      const placed = new Set();
+      const addEntries = (entries, parent) => {
+        entries.forEach( (entry) => {
+          if (entry.group != undefined) {
+            const groupLayer = new GroupLayer({title: entry.group, visible: entry.visible != false});
+            parent.add(groupLayer);
+            addEntries(entry.layers || [], groupLayer);
+            return;
+          }
+          const projectLayer = projectLayers.find(element => element.name == entry.layer);
+          if (!projectLayer || placed.has(projectLayer)) {
+            return;
+          }
+          map.remove(projectLayer.featureLayer);
+          if (entry.visible != undefined) {
+            projectLayer.featureLayer.visible = entry.visible;
+          }
+          parent.add(projectLayer.featureLayer);
+          placed.add(projectLayer);
+        });
+      };
+      addEntries(this.object.layers, map);
+
+      //Layers that aren't in the document yet are drawn above the ones that are.
+      projectLayers.filter( (projectLayer) => !placed.has(projectLayer) ).forEach( (projectLayer) => {
+        map.reorder(projectLayer.featureLayer, map.layers.length - 1);
+      });
 
-    for await (const entry of projectFeaturesDirectoryHandle.values()) {
-      if (entry.kind == "file") {
-        const entryHandle = await projectFeaturesDirectoryHandle.getFileHandle(entry.name);
-        await ProjectFeature.create(entryHandle);
+      if (this.object.viewpoint) {
+        view.viewpoint = Viewpoint.fromJSON(this.object.viewpoint);
+        return true;
       }
+      return false;
     }
+    /**
+     * Updates the document from the current state of the map and view.
+     */
+    captureFromMap() {
+      const describeLayers = (layers) => layers.toArray().map( (layer) => {
+        if (layer.type == "group") {
+          return {group: layer.title, visible: layer.visible, layers: describeLayers(layer.layers)};
+        }
+        //Layers that aren't project layers, such as previews, aren't part of the project.
+        const projectLayer = projectLayers.find(element => element.featureLayer == layer);
+        return projectLayer ? {layer: projectLayer.name, visible: layer.visible} : undefined;
+      }).filter( (entry) => entry != undefined );
 
-    for await (const entry of projectLayersDirectoryHandle.values()) {
-      if (entry.kind == "file") {
-        const entryHandle = await projectLayersDirectoryHandle.getFileHandle(entry.name);
-        await ProjectLayer.create(entryHandle);
+      this.object.basemap = document.getElementById("basemap-select").value;
+      this.object.spatialReference = {wkid: Number(document.getElementById("project-wkid-input").value) || 4326};
+      this.object.layers = describeLayers(map.layers);
+      if (this.viewChanged()) {
+        this.object.viewpoint = view.viewpoint.toJSON();
       }
     }
-
-    //Pan the map to the extents of all features in the project
-    const allFeatures = [];
-    projectLayers.forEach( (layer) => {
-      allFeatures.push(layer.sourceFS.features);
-    });
-    await view.goTo( allFeatures );
+    /**
+     * Checks whether the view moved away from the saved view. The view can snap a restored view to a slightly
+     * different scale, so changes smaller than a pixel or a percent of the scale are ignored.
+     * @returns {boolean}
+     */
+    viewChanged() {
+      if (!this.object.viewpoint) {
+        return true;
+      }
+      const saved = Viewpoint.fromJSON(this.object.viewpoint);
+      const current = view.viewpoint;
+      const center = (viewpoint) => viewpoint.targetGeometry.type == "extent" ? viewpoint.targetGeometry.center :
+        viewpoint.targetGeometry;
+      const savedCenter = center(saved);
+      const currentCenter = center(current);
+      if (!savedCenter || !currentCenter || !savedCenter.spatialReference.equals(currentCenter.spatialReference)) {
+        return true;
+      }
+      return Math.abs(current.scale - saved.scale) > saved.scale * 0.01 || current.rotation != saved.rotation ||
+        Math.hypot(currentCenter.x - savedCenter.x, currentCenter.y - savedCenter.y) > view.resolution;
+    }
+    /**
+     * Saves the document shortly after the last call, so a burst of map changes results in a single write.
+     */
+    scheduleSave() {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout( () => this.save(), 1000);
+    }
+    /**
+     * Writes the current state of the map and view to project.json, if it differs from the file.
+     */
+    async save() {
+      if (!this.saveEnabled) {
+        return;
+      }
+      this.captureFromMap();
+      const text = JSON.stringify(this.object);
+      if (text == this.savedText) {
+        return;
+      }
+      await this.handle.write(JSON.stringify(this.object, null, 2));
+      this.savedText = text;
+    }
   }
 
-  /**
-   * Function that adds individual files to the project. The files are selected by users, if they exist outside the 
-   * project structure they will be added.
-   * TODO: Add logic to check if the same file is already in the project to avoid duplication.
-   * @param {string} fileType Simple name for the type of file being added to the project.
-   */
-  async function addFileToProject(fileType) {
-    //Get FileHandle from user input
-    let inputFileHandle;
-    [inputFileHandle] = await window.showOpenFilePicker();
-    const inputFile = await inputFileHandle.getFile();
-    const fileText = await inputFile.text();
-
-    //Create a handle inside of the project directory to copy the contents of the input file to it.
-    let newFileHandle;
-    switch ( fileType ) {
-      case "feature":
-        newFileHandle = await projectFeaturesDirectoryHandle.getFileHandle(inputFileHandle.name, {create: true});
-        break;
-      case "renderer":
-        newFileHandle = await projectRenderersDirectoryHandle.getFileHandle(inputFileHandle.name, {create: true});
-        break;
-      case "symbol":
-        newFileHandle = await projectSymbolsDirectoryHandle.getFileHandle(inputFileHandle.name, {create: true});
-        break;
-      case "layer":
-        newFileHandle = await projectLayersDirectoryHandle.getFileHandle(inputFileHandle.name, {create: true});
-        break;
+  class ServiceSource {
+    /**
+     * Records the feature service that a features file was downloaded from, along with a copy of the features as they
+     * were on the service. Comparing the features file with the copy shows what was added, changed or deleted locally,
+     * and comparing the copy with the service shows what changed on the service in the meantime. Kept in the Sources
+     * directory under the name of the features file.
+     * @param {StorageFileHandle} handle Handle to the source file.
+     * @param {Object} object Object with the url, objectIdFieldName, editDateField, spatialReference and features of
+     * the source.
+     */
+    constructor (handle, object) {
+      this.handle = handle;
+      this.object = object;
+    }
+    /**
+     * Name of the project directory holding source files.
+     * @returns {string}
+     */
+    static get directoryName() {
+      return "Sources";
+    }
+    /**
+     * Reads the source of a features file.
+     * @param {string} featureName File name of the features file.
+     * @returns {ServiceSource} The source, or undefined if the features weren't downloaded from a service.
+     */
+    static async load(featureName) {
+      const handle = projectStorage.getFileHandle(this.directoryName, featureName);
+      try {
+        const {text} = await handle.read();
+        return new this(handle, JSON.parse(text));
+      } catch (error) {
+        return undefined;
+      }
+    }
+    /**
+     * Records the service that a features file was just downloaded from.
+     * @param {string} featureName File name of the features file.
+     * @param {string} url URL of the feature service layer.
+     * @param {Object} fsJSON FeatureSet JSON of the downloaded features.
+     * @param {string} editDateField Field the service stores the last edit date in, if it tracks edits.
+     * @returns {ServiceSource}
+     */
+    static async record(featureName, url, fsJSON, editDateField) {
+      await projectStorage.ensureDirectory(this.directoryName);
+      const source = new this(projectStorage.getFileHandle(this.directoryName, featureName), {
+        url: url,
+        objectIdFieldName: fsJSON.objectIdFieldName,
+        editDateField: editDateField,
+        spatialReference: fsJSON.spatialReference,
+        features: fsJSON.features,
+      });
+      await source.save();
+      return source;
+    }
+    /**
+     * Writes the source file.
+     */
+    async save() {
+      await writeJSONToHandle(this.handle, this.object);
+    }
+    /**
+     * Object id of a feature in JSON form.
+     * @param {Object} feature 
+     * @returns {number}
+     */
+    getObjectId(feature) {
+      return feature.attributes[this.object.objectIdFieldName];
+    }
+    /**
+     * Compares features with the copy of the service's features to find local changes.
+     * @param {Object[]} features Current features of the features file, in JSON form.
+     * @returns {Object} Object with the adds and deletes (arrays of features) and updates (array of objects with the
+     * original and local version of a feature).
+     */
+    getLocalChanges(features) {
+      return getLocalChanges(this.object.objectIdFieldName, this.object.features, features);
     }
+  }
 
-    //Copy contents of input handle as contents of new handle
-    const newFeatureWritable = await newFileHandle.createWritable();
-    await newFeatureWritable.write(fileText);
-    await newFeatureWritable.close();
+  class EditSession {
+    /**
+     * Buffers the edits made to a features file in memory. Every layer drawing the file shares one session: each
+     * applyEdits call made against one of the layers (normally by the Editor widget) is recorded as one operation that
+     * can be undone and redone, and is applied to the session's copy of the features and to the other layers, so all
+     * layers show the same features. Nothing is written to the features file until the session is saved, and
+     * discarding reloads every layer from that file.
+     *
+     * Client side layers assign their own object ids to added features, so the ids of a feature can differ between
+     * layers. Operations are recorded using the ids of the session's copy, which are the ids written to the file, and
+     * each layer has a map between those ids and its own.
+     * @param {ProjectFeature} projectFeature The features file whose edits are tracked by this session.
+     */
+    constructor (projectFeature) {
+      this.projectFeature = projectFeature;
+      this.layers = [];
 
+      this.undoStack = [];
+      this.redoStack = [];
 
-    //Create an instance of the input file for the current project.
-    switch ( fileType ) {
-      case "feature":
-        await new ProjectFeature.create(newFileHandle);
-        break;
-      case "renderer":
-        await new ProjectRenderer.create(newFileHandle);
-        break;
-      case "symbol":
-        await new ProjectSymbol.create(newFileHandle);
-        break;
-      case "layer":
-        var newLayer = await ProjectLayer.create(newFileHandle);
-        view.goTo(newLayer.sourceFS.features);
-        break;
-    }
-  }
+      //The session's copy of every feature keyed by object id, including edits that haven't been saved.
+      this.features = new Map();
 
-  /**
-   * Open the window used to create new layer files.
-   */
-  function openCreateLayerModal() {
-    layerManagementWidget.expanded = false; //Close the widget that opens the window so it won't be in the way.
+      //The features as they are in the file in JSON form, their JSON text once it has been written, and the ids of the
+      //features edited since the last save. Saving only serialises the edited features again.
+      this.savedFeatures = new Map();
+      this.savedTexts = new Map();
+      this.changedIds = new Set();
 
-    //Create the list of features and renderers that available to create a layer from.
-    const featureOptions = projectFeatures.map( (feature) => {
-      const elem = document.createElement("option");
-      elem.value = feature.name;
-      elem.text = feature.name;
-      return elem;
-    });
+      //The index of every collection validation rule, see indexCollectionRule. Built when the file is validated.
+      this.collectionIndexes = new Map();
 
-    const layerSelect = document.getElementById("layer-feature-select");
-    layerSelect.replaceChildren(...featureOptions);
-    layerSelect.appendChild(new Option("None", false));
+      //Id given to the next added feature. It only goes up, so ids that were used in the file or by edits since the
+      //session started aren't given out again and a new feature can't take over the attachments of a deleted one.
+      this.nextId = 1;
 
-    const rendererOptions = projectRenderers.map( ( renderer ) => {
-      const elem = document.createElement("option");
-      elem.value = renderer.name;
-      elem.text = renderer.name;
-      return elem;});
+      //For every layer, the maps between the session's object ids and the layer's, and its edits event handle.
+      this.layerStates = new Map();
 
-    const rendererSelect = document.getElementById("layer-renderer-select");
-    rendererSelect.replaceChildren(...rendererOptions);
-    rendererSelect.appendChild(new Option("None", false));
+      //Set while the session applies edits to its layers (mirroring, undo, redo, discard) so they are not recorded as
+      //new operations.
+      this.applyingOwnEdits = false;
+
+      this.resetFeatures();
+      editSessions.push(this);
+      renderEditSessions();
+    }
+    /**
+     * Returns the edit session of a features file, starting one if the file doesn't have one yet.
+     * @param {ProjectFeature} projectFeature 
+     * @returns {EditSession}
+     */
+    static forFeature(projectFeature) {
+      return editSessions.find( (session) => session.projectFeature == projectFeature ) || new this(projectFeature);
+    }
+    /**
+     * Name of the object id field of the features file.
+     * @returns {string}
+     */
+    get objectIdField() {
+      return getObjectIdFieldName(this.projectFeature.fs, this.projectFeature.object);
+    }
+    /**
+     * Number of operations that have been made since the last save or discard.
+     * @returns {number}
+     */
+    get pendingCount() {
+      return this.undoStack.length;
+    }
+    /**
+     * Replaces the session's copy of the features with the contents of the features file.
+     */
+    resetFeatures() {
+      this.features.clear();
+      this.savedFeatures.clear();
+      this.savedTexts.clear();
+      this.changedIds.clear();
+      this.collectionIndexes.clear();
+      //FeatureSet.fromJSON keeps the order of the features, so both lists describe the same feature at each index.
+      this.projectFeature.fs.features.forEach( (feature, index) => {
+        const id = feature.attributes[this.objectIdField];
+        this.features.set(id, feature.clone());
+        this.savedFeatures.set(id, this.projectFeature.object.features[index]);
+        this.nextId = Math.max(this.nextId, id + 1);
+      });
+    }
+    /**
+     * Copies of the session's features, including unsaved edits, used as the source of new layers.
+     * @returns {Graphic[]}
+     */
+    getFeatures() {
+      return [...this.features.values()].map( (feature) => feature.clone() );
+    }
+    /**
+     * Starts tracking the edits of a layer drawing the features file. The layer must have been created from
+     * getFeatures, so its object ids match the session's.
+     * @param {ProjectLayer} projectLayer 
+     */
+    addLayer(projectLayer) {
+      const toLayer = new Map();
+      const toSession = new Map();
+      this.features.forEach( (feature, id) => {
+        toLayer.set(id, id);
+        toSession.set(id, id);
+      });
+      this.layerStates.set(projectLayer, {
+        toLayer: toLayer,
+        toSession: toSession,
+        editsHandle: projectLayer.featureLayer.on("edits", (edits) => this.recordEdits(projectLayer, edits)),
+      });
+      this.layers.push(projectLayer);
+      renderEditSessions();
+    }
+    /**
+     * Stops tracking a layer. The session ends when its last layer is removed.
+     * @param {ProjectLayer} projectLayer 
+     */
+    removeLayer(projectLayer) {
+      this.layerStates.get(projectLayer).editsHandle.remove();
+      this.layerStates.delete(projectLayer);
+      this.layers.splice(this.layers.indexOf(projectLayer), 1);
+      if (this.layers.length == 0) {
+        editSessions.splice(editSessions.indexOf(this), 1);
+      }
+      renderEditSessions();
+    }
+    /**
+     * Handler for a layer's edits event that turns the edit results into an undoable operation and applies it to the
+     * other layers.
+     * @param {ProjectLayer} projectLayer The layer that was edited.
+     * @param {Object} edits The edits event emitted by the feature layer.
+     */
+    async recordEdits(projectLayer, edits) {
+      if (this.applyingOwnEdits) {
+        return;
+      }
+      const state = this.layerStates.get(projectLayer);
+
+      const successfulIds = (results) => results.filter( (result) => !result.error ).map( (result) => result.objectId );
+      const addedIds = successfulIds(edits.addedFeatures);
+      const updatedIds = successfulIds(edits.updatedFeatures);
+      const deletedIds = successfulIds(edits.deletedFeatures);
+
+      //Look up the state of added and updated features after the edit, and give added features a session id.
+      const current = await this.queryByIds(projectLayer, [...addedIds, ...updatedIds]);
+      addedIds.forEach( (id) => {
+        state.toLayer.set(this.nextId, id);
+        state.toSession.set(id, this.nextId);
+        this.nextId++;
+      });
+      const toSessionFeature = (id) => {
+        const feature = current.get(id);
+        feature.attributes[this.objectIdField] = state.toSession.get(id);
+        return feature;
+      };
+
+      const operation = {
+        adds: addedIds.map( toSessionFeature ),
+        updates: updatedIds.map( (id) => ({before: this.features.get(state.toSession.get(id)),
+          after: toSessionFeature(id)}) ),
+        deletes: deletedIds.map( (id) => this.features.get(state.toSession.get(id)) ),
+      };
+      deletedIds.forEach( (id) => {
+        state.toLayer.delete(state.toSession.get(id));
+        state.toSession.delete(id);
+      });
+
+      await this.updateFeatures(operation.adds, operation.updates.map( (update) => update.after ), operation.deletes);
+      const otherLayers = this.layers.filter( (layer) => layer != projectLayer );
+      await this.applyToLayers(otherLayers, operation.adds, operation.updates.map( (update) => update.after ),
+        operation.deletes);
+
+      this.undoStack.push(operation);
+      this.redoStack = [];
+      renderEditSessions();
+    }
+    /**
+     * Queries a layer for the features with the given object ids.
+     * @param {ProjectLayer} projectLayer 
+     * @param {number[]} objectIds Object ids used by the layer.
+     * @returns {Map} Map of the layer's object id to a copy of the feature.
+     */
+    async queryByIds(projectLayer, objectIds) {
+      const features = new Map();
+      if (objectIds.length == 0) {
+        return features;
+      }
+      const featureLayer = projectLayer.featureLayer;
+      const query = featureLayer.createQuery();
+      query.objectIds = objectIds;
+      query.outFields = ["*"];
+      query.returnGeometry = true;
+      const fs = await featureLayer.queryFeatures(query);
+      fs.features.forEach( (feature) => {
+        features.set(feature.attributes[featureLayer.objectIdField], feature.clone());
+      });
+      return features;
+    }
+    /**
+     * Applies edits to the session's copy of the features and checks the edited features against the project's
+     * validation rules.
+     * @param {Graphic[]} adds 
+     * @param {Graphic[]} updates 
+     * @param {Graphic[]} deletes 
+     */
+    async updateFeatures(adds, updates, deletes) {
+      [...adds, ...updates].forEach( (feature) => {
+        this.features.set(feature.attributes[this.objectIdField], feature.clone());
+      });
+      deletes.forEach( (feature) => this.features.delete(feature.attributes[this.objectIdField]) );
+      const ids = [...adds, ...updates, ...deletes].map( (feature) => feature.attributes[this.objectIdField] );
+      ids.forEach( (id) => this.changedIds.add(id) );
+      await validateEdits(this, [...adds, ...updates], ids);
+    }
+    /**
+     * Applies edits, given with the session's object ids, to layers without recording them as a new operation.
+     * @param {ProjectLayer[]} projectLayers 
+     * @param {Graphic[]} adds 
+     * @param {Graphic[]} updates 
+     * @param {Graphic[]} deletes 
+     */
+    async applyToLayers(projectLayers, adds, updates, deletes) {
+      for (const projectLayer of projectLayers) {
+        const state = this.layerStates.get(projectLayer);
+        const toLayerFeature = (feature) => {
+          const layerFeature = feature.clone();
+          const id = feature.attributes[this.objectIdField];
+          layerFeature.attributes[this.objectIdField] = state.toLayer.get(id);
+          return layerFeature;
+        };
+
+        this.applyingOwnEdits = true;
+        let result;
+        try {
+          result = await projectLayer.featureLayer.applyEdits({
+            addFeatures: adds.map( (feature) => feature.clone() ),
+            updateFeatures: updates.map( toLayerFeature ),
+            deleteFeatures: deletes.map( toLayerFeature ),
+          });
+        } finally {
+          this.applyingOwnEdits = false;
+        }
+
+        //Remember the ids the layer gave to the added features.
+        result.addFeatureResults.forEach( (addResult, index) => {
+          if (!addResult.error) {
+            const id = adds[index].attributes[this.objectIdField];
+            state.toLayer.set(id, addResult.objectId);
+            state.toSession.set(addResult.objectId, id);
+          }
+        });
+        deletes.forEach( (feature) => {
+          const id = feature.attributes[this.objectIdField];
+          state.toSession.delete(state.toLayer.get(id));
+          state.toLayer.delete(id);
+        });
+      }
+    }
+    /**
+     * Applies an operation to the session and every layer, either forwards (redo) or backwards (undo).
+     * @param {Object} operation Operation as recorded by recordEdits.
+     * @param {boolean} reverse True to revert the operation.
+     */
+    async applyOperation(operation, reverse) {
+      const toAdd = reverse ? operation.deletes : operation.adds;
+      const toDelete = reverse ? operation.adds : operation.deletes;
+      const toUpdate = operation.updates.map( (update) => reverse ? update.before : update.after );
+
+      await this.updateFeatures(toAdd, toUpdate, toDelete);
+      await this.applyToLayers(this.layers, toAdd, toUpdate, toDelete);
+    }
+    /**
+     * Reverts the most recent operation.
+     */
+    async undo() {
+      const operation = this.undoStack.pop();
+      if (operation) {
+        await this.applyOperation(operation, true);
+        this.redoStack.push(operation);
+      }
+      renderEditSessions();
+    }
+    /**
+     * Re-applies the most recently undone operation.
+     */
+    async redo() {
+      const operation = this.redoStack.pop();
+      if (operation) {
+        await this.applyOperation(operation, false);
+        this.undoStack.push(operation);
+      }
+      renderEditSessions();
+    }
+    /**
+     * Writes the session's features, holding the edits made through every layer, to the features file once and clears
+     * the undo history. Only the features edited since the last save are serialised, the text of the others is reused.
+     * The attachments of deleted features are deleted once the file is written, after the user agrees to it.
+     */
+    async save() {
+      if (!await confirmValidationBeforeSave(this.projectFeature)) {
+        return;
+      }
+      const deletedIds = [...this.changedIds].filter( (id) => !this.features.has(id) );
+      //The file history keeps the deleted features but not their attachments.
+      const deletedAttachments = (deletedIds.length > 0) ?
+        await listAttachments(this.projectFeature.name, deletedIds) : [];
+      if (deletedAttachments.length > 0 && !confirm(`Saving deletes ${deletedAttachments.length} attachment(s) of ` +
+        "deleted features. Restoring the features from the file history won't bring the attachments back. Save " +
+        "anyway?")) {
+        return;
+      }
+      //The JSON and text of the edited features, null for deleted ones. They only replace the saved state once the
+      //file is written, so the edits stay pending if writing fails.
+      const changedFeatures = new Map();
+      const changedTexts = new Map();
+      this.changedIds.forEach( (id) => {
+        const feature = this.features.get(id);
+        const featureJSON = feature ? {
+          attributes: Object.assign({}, feature.attributes),
+          geometry: feature.geometry ? feature.geometry.toJSON() : null,
+        } : null;
+        changedFeatures.set(id, featureJSON);
+        changedTexts.set(id, featureJSON ? JSON.stringify(featureJSON) : null);
+      });
+
+      const ids = [...this.features.keys()];
+      const features = ids.map( (id) => changedFeatures.has(id) ? changedFeatures.get(id) :
+        this.savedFeatures.get(id) );
+      const featureTexts = ids.map( (id, index) => {
+        if (changedTexts.has(id)) {
+          return changedTexts.get(id);
+        }
+        if (!this.savedTexts.has(id)) {
+          this.savedTexts.set(id, JSON.stringify(features[index]));
+        }
+        return this.savedTexts.get(id);
+      });
+
+      //The features are written last, after the other members of the file.
+      const otherMembers = Object.assign({}, this.projectFeature.object);
+      delete otherMembers.features;
+      const otherText = JSON.stringify(otherMembers).slice(0, -1);
+      const text = `${otherText}${(otherText.length > 1) ? "," : ""}"features":[${featureTexts.join(",")}]}`;
+      await writeTextToHandle(this.projectFeature.handle, text);
+
+      changedFeatures.forEach( (featureJSON, id) => {
+        if (featureJSON) {
+          this.savedFeatures.set(id, featureJSON);
+          this.savedTexts.set(id, changedTexts.get(id));
+        } else {
+          this.savedFeatures.delete(id);
+          this.savedTexts.delete(id);
+        }
+      });
+      this.changedIds.clear();
+      this.undoStack = [];
+      this.redoStack = [];
+
+      //Keep the features object in step with the file so the change isn't picked up as an outside edit.
+      await this.projectFeature.updateSavedContents(Object.assign(otherMembers, {features: features}), text,
+        [...this.features.values()]);
+      this.layers.forEach( (layer) => {
+        layer.sourceFS = this.projectFeature.fs;
+      });
+      await removeAttachments(this.projectFeature.name, deletedIds);
+      //The session holds one feature per object id, so the file it wrote has no duplicate ids.
+      validationIssues = validationIssues.filter( (issue) => issue.projectFeature != this.projectFeature ||
+        issue.rule.type != "unique-id" );
+      renderValidationReport();
+      this.clearPostponedReload();
+      renderEditSessions();
+    }
+    /**
+     * Throws away all pending edits by reloading every layer's features from the features file. Attachments added to
+     * features that were never saved are deleted with them.
+     */
+    async discard() {
+      const unsavedIds = [...this.changedIds].filter( (id) => !this.savedFeatures.has(id) );
+      await removeAttachments(this.projectFeature.name, unsavedIds);
+      await this.projectFeature.reload();
+      this.resetFeatures();
+
+      //Replace the contents of every layer, which gives the features new ids in the layers.
+      for (const layer of this.layers) {
+        const state = this.layerStates.get(layer);
+        state.toLayer.clear();
+        state.toSession.clear();
+        layer.sourceFS = this.projectFeature.fs;
+      }
+      await this.applyToLayers(this.layers, [...this.features.values()], [], []);
+      for (const layer of this.layers) {
+        const current = await queryAllFeatures(layer.featureLayer);
+        const replacedIds = new Set(this.layerStates.get(layer).toSession.keys());
+        this.applyingOwnEdits = true;
+        try {
+          await layer.featureLayer.applyEdits({deleteFeatures: current.features.filter( (feature) =>
+            !replacedIds.has(feature.attributes[layer.featureLayer.objectIdField]) )});
+        } finally {
+          this.applyingOwnEdits = false;
+        }
+      }
+
+      this.undoStack = [];
+      this.redoStack = [];
+      this.clearPostponedReload();
+      await validateProjectFeature(this.projectFeature);
+      renderEditSessions();
+    }
+    /**
+     * Removes the notices about layer reloads that were postponed because of unsaved edits. Once the edits are saved
+     * or discarded the layers match their files again, and a changed layer file is picked up by the next check.
+     */
+    clearPostponedReload() {
+      this.layers.forEach( (layer) => clearProblems(layer.path) );
+      renderProblems();
+    }
+  }
+
+
+  /**
+   * Rebuilds the list in the edit session widget showing pending edits for every layer with an edit session.
+   */
+  function renderEditSessions() {
+    const rows = editSessions.map( (session) => {
+      const row = document.createElement("div");
+      row.className = "edit-session-row";
+
+      const label = document.createElement("div");
+      const layerNames = session.layers.map( (layer) => layer.name ).join(", ");
+      label.innerText = `${session.projectFeature.name} (${layerNames}): ${session.pendingCount} pending change(s)`;
+      row.appendChild(label);
+
+      //Each button is only enabled if the action would do something. Failures are shown below the list, the edits stay
+      //pending.
+      const actions = [
+        ["Undo", () => session.undo(), session.undoStack.length > 0],
+        ["Redo", () => session.redo(), session.redoStack.length > 0],
+        ["Save", () => session.save(), session.pendingCount > 0],
+        ["Discard", () => session.discard(), session.pendingCount > 0],
+      ];
+      actions.forEach( ([text, action, enabled]) => {
+        const button = document.createElement("div");
+        button.className = "esri-button esri-button-grouped" + (enabled ? "" : " esri-button--disabled");
+        button.innerText = text;
+        if (enabled) {
+          button.addEventListener("click", async () => {
+            const status = document.getElementById("edit-session-status");
+            status.innerText = "";
+            try {
+              await action();
+            } catch (error) {
+              status.innerText = `${text} failed for ${session.projectFeature.name}: ${error.message}`;
+              renderEditSessions();
+            }
+          });
+        }
+        row.appendChild(button);
+      });
+
+      return row;
+    });
+
+    const list = document.getElementById("edit-session-list");
+    if (rows.length == 0) {
+      list.innerText = "No editable layers in the project.";
+    } else {
+      list.replaceChildren(...rows);
+    }
+  }
+
+  /**
+   * Writes an object to a project file as JSON, replacing the file's existing contents.
+   * @param {StorageFileHandle} handle The file to write to.
+   * @param {Object} inputObj Object to be saved as the contents.
+   */
+  async function writeJSONToHandle(handle, inputObj) {
+    await writeTextToHandle(handle, JSON.stringify(inputObj));
+  }
+
+  /**
+   * Writes text to a project file, keeping the new version in the file history.
+   * @param {StorageFileHandle} handle The file to write to.
+   * @param {string} text 
+   */
+  async function writeTextToHandle(handle, text) {
+    await recordHistory(handle, text);
+    await handle.write(text);
+  }
+
+  /**
+   * Parses JSON text. Text of more than a megabyte is parsed by the JSON worker, which sends the features of a feature
+   * set back a few thousand at a time. Copying parsed features from the worker takes longer than parsing them, but each
+   * chunk is copied separately, so the page keeps responding instead of freezing for the whole file.
+   * @param {string} text 
+   * @returns {*} The parsed value.
+   */
+  function parseJSON(text) {
+    if (text.length < 1000000 || !window.Worker) {
+      return JSON.parse(text);
+    }
+    if (!jsonWorker) {
+      const source = `onmessage = (event) => {
+        const {id, text, chunkSize} = event.data;
+        let value;
+        try {
+          value = JSON.parse(text);
+        } catch (error) {
+          postMessage({id: id, error: error.message});
+          return;
+        }
+        const features = (value && Array.isArray(value.features)) ? value.features : [];
+        if (features.length > 0) {
+          value.features = [];
+        }
+        postMessage({id: id, value: value, chunkCount: Math.ceil(features.length / chunkSize)});
+        for (let start = 0; start < features.length; start += chunkSize) {
+          postMessage({id: id, features: features.slice(start, start + chunkSize)});
+        }
+      };`;
+      jsonWorker = new Worker(URL.createObjectURL(new Blob([source], {type: "text/javascript"})));
+      jsonWorker.onmessage = (event) => {
+        const {id, value, chunkCount, features, error} = event.data;
+        const request = jsonWorkerRequests.get(id);
+        if (error != undefined) {
+          jsonWorkerRequests.delete(id);
+          request.reject(new SyntaxError(error));
+          return;
+        }
+        if (features) {
+          features.forEach( (feature) => request.value.features.push(feature) );
+          request.remaining--;
+        } else {
+          request.value = value;
+          request.remaining = chunkCount;
+        }
+        if (request.remaining == 0) {
+          jsonWorkerRequests.delete(id);
+          request.resolve(request.value);
+        }
+      };
+    }
+    return new Promise( (resolve, reject) => {
+      const id = jsonWorkerNextId++;
+      jsonWorkerRequests.set(id, {resolve: resolve, reject: reject});
+      jsonWorker.postMessage({id: id, text: text, chunkSize: 5000});
+    });
+  }
+
+  /**
+   * Creates a FeatureSet from JSON. The graphics of large feature sets are created a few thousand at a time, letting
+   * the page respond in between.
+   * @param {Object} object FeatureSet JSON.
+   * @returns {FeatureSet}
+   */
+  async function featureSetFromJSON(object) {
+    const features = object.features || [];
+    const chunkSize = 5000;
+    if (features.length <= chunkSize) {
+      return FeatureSet.fromJSON(object);
+    }
+    const fs = FeatureSet.fromJSON(Object.assign({}, object, {features: []}));
+    const graphics = [];
+    for (let start = 0; start < features.length; start += chunkSize) {
+      await new Promise( (resolve) => setTimeout(resolve) );
+      FeatureSet.fromJSON(Object.assign({}, object, {features: features.slice(start, start + chunkSize)})).features
+        .forEach( (graphic) => graphics.push(graphic) );
+    }
+    fs.features = graphics;
+    return fs;
+  }
+
+  /**
+   * Keeps a copy of a project file in the History directory before the application writes it. The first time a file
+   * is written its previous contents are kept as well, so every version the application replaced can be restored.
+   * Copies are named {directory}~{time}~{file name}, only the newest versions of each file are kept.
+   * @param {StorageFileHandle} handle The file about to be written.
+   * @param {string} text The new contents of the file.
+   */
+  async function recordHistory(handle, text) {
+    if (!getProjectDirectories().some( (directory) => directory.name == handle.directoryName )) {
+      return;
+    }
+    const index = await getHistoryIndex();
+    const path = `${handle.directoryName}/${handle.name}`;
+    if (!index.has(path)) {
+      index.set(path, []);
+      try {
+        const previous = await handle.read();
+        await addHistoryVersion(handle, previous.lastModified, previous.text);
+      } catch (error) {
+        //New files have no previous version.
+      }
+    }
+    await addHistoryVersion(handle, Date.now(), text);
+  }
+
+  /**
+   * Reads which versions the History directory holds, the first time it is needed in a project. Listing the directory
+   * reads every file in it, so it is kept up to date in memory afterwards instead of being listed again.
+   * @returns {Promise<Map>} Map of project file path to its versions, newest first.
+   */
+  function getHistoryIndex() {
+    if (!historyIndex) {
+      historyIndex = (async () => {
+        await projectStorage.ensureDirectory("History");
+        const index = new Map();
+        for (const entry of await projectStorage.listFiles("History")) {
+          const version = parseHistoryName(entry.name);
+          if (version) {
+            index.set(version.path, [...(index.get(version.path) || []), version]);
+          }
+        }
+        index.forEach( (versions) => versions.sort( (a, b) => b.time - a.time ) );
+        return index;
+      })();
+    }
+    return historyIndex;
+  }
+
+  /**
+   * Writes a version of a project file to the History directory, removing its oldest versions beyond the limit.
+   * @param {StorageFileHandle} handle The project file.
+   * @param {number} time Time of the version.
+   * @param {string} text Contents of the version.
+   */
+  async function addHistoryVersion(handle, time, text) {
+    const index = await getHistoryIndex();
+    const version = parseHistoryName(`${handle.directoryName}~${time}~${handle.name}`);
+    await projectStorage.writeFile("History", version.historyName, text);
+    const versions = (index.get(version.path) || []).filter( (element) => element.historyName != version.historyName );
+    versions.push(version);
+    versions.sort( (a, b) => b.time - a.time );
+    index.set(version.path, versions);
+    while (versions.length > historyVersionLimit) {
+      await projectStorage.removeFile("History", versions.pop().historyName);
+    }
+  }
+
+  /**
+   * Splits the name of a file in the History directory into the path and time of the version it holds.
+   * @param {string} historyName 
+   * @returns {Object} Object with the path, time and historyName, or undefined for other files.
+   */
+  function parseHistoryName(historyName) {
+    const match = historyName.match(/^([^~]+)~(\d+)~(.+)$/);
+    return match ? {path: `${match[1]}/${match[3]}`, time: Number(match[2]), historyName: historyName} : undefined;
+  }
+
+  /**
+   * Lists the recorded versions of a project file, newest first.
+   * @param {string} path Path of the project file, such as Features/geobusiness.json
+   * @returns {Object[]} Objects with the path, time and historyName of each version.
+   */
+  async function listHistoryVersions(path) {
+    return [...((await getHistoryIndex()).get(path) || [])];
+  }
+
+  /**
+   * Reads a recorded version of a project file.
+   * @param {Object} version Version as listed by listHistoryVersions.
+   * @returns {Object} Parsed contents of the version.
+   */
+  async function readHistoryVersion(version) {
+    const {text} = await projectStorage.readFile("History", version.historyName);
+    return JSON.parse(text);
+  }
+
+  /**
+   * Compares two versions of a features file by object id.
+   * @param {Object} before FeatureSet JSON of the older version.
+   * @param {Object} after FeatureSet JSON of the newer version.
+   * @returns {Object} Object with the added and deleted features, and the modified features with their attribute
+   * changes and whether their geometry changed.
+   */
+  function diffFeatureSets(before, after) {
+    const oidField = after.objectIdFieldName || before.objectIdFieldName;
+    const beforeFeatures = new Map(before.features.map( (feature) => [feature.attributes[oidField], feature] ));
+    const added = [];
+    const modified = [];
+    after.features.forEach( (feature) => {
+      const id = feature.attributes[oidField];
+      const previous = beforeFeatures.get(id);
+      if (!previous) {
+        added.push(feature);
+        return;
+      }
+      beforeFeatures.delete(id);
+      const fieldNames = new Set([...Object.keys(previous.attributes), ...Object.keys(feature.attributes)]);
+      const changes = [...fieldNames].filter( (field) => previous.attributes[field] !== feature.attributes[field] )
+        .map( (field) => ({field: field, before: previous.attributes[field], after: feature.attributes[field]}) );
+      const geometryChanged = JSON.stringify(previous.geometry) != JSON.stringify(feature.geometry);
+      if (changes.length > 0 || geometryChanged) {
+        modified.push({id: id, changes: changes, geometryChanged: geometryChanged});
+      }
+    });
+    return {added: added, deleted: [...beforeFeatures.values()], modified: modified};
+  }
+
+  /**
+   * Queries every feature of a feature layer including all attributes and geometry.
+   * @param {FeatureLayer} featureLayer 
+   * @returns {FeatureSet}
+   */
+  async function queryAllFeatures(featureLayer) {
+    const query = featureLayer.createQuery();
+    query.where = "1=1";
+    query.outFields = ["*"];
+    query.returnGeometry = true;
+    return await featureLayer.queryFeatures(query);
+  }
+
+  /**
+   * Checks whether a parsed JSON object is a GeoJSON FeatureCollection.
+   * @param {Object} object 
+   * @returns {boolean}
+   */
+  function isGeoJSON(object) {
+    return object != null && object.type == "FeatureCollection" && Array.isArray(object.features);
+  }
+
+  /**
+   * Calculates twice the signed area of a ring, positive when the ring is clockwise.
+   * @param {number[][]} ring Array of [x, y] coordinates.
+   * @returns {number}
+   */
+  function ringSignedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      area += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    }
+    return area;
+  }
+
+  /**
+   * Returns a copy of a ring wound in the requested direction.
+   * @param {number[][]} ring 
+   * @param {boolean} clockwise 
+   * @returns {number[][]}
+   */
+  function orientRing(ring, clockwise) {
+    return (ringSignedArea(ring) > 0) == clockwise ? ring.slice() : ring.slice().reverse();
+  }
+
+  /**
+   * Tests whether a point falls inside a ring using ray casting.
+   * @param {number[]} point [x, y] coordinate.
+   * @param {number[][]} ring 
+   * @returns {boolean}
+   */
+  function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ( ((yi > point[1]) != (yj > point[1])) && (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Converts a field name into one that is valid for ESRI feature sets (letters, numbers and underscores, not
+   * starting with a number).
+   * @param {string} name 
+   * @returns {string}
+   */
+  function sanitizeFieldName(name) {
+    const sanitized = String(name).trim().replace(/[^A-Za-z0-9_]/g, "_");
+    return /^[A-Za-z_]/.test(sanitized) ? sanitized : `F_${sanitized}`;
+  }
+
+  /**
+   * Determines the ESRI field type that can hold every value in a list. Null and undefined values are ignored.
+   * @param {Array} values 
+   * @returns {string} ESRI field type
+   */
+  function inferFieldType(values) {
+    const present = values.filter( (value) => value != null );
+    if (present.length == 0) {
+      return "esriFieldTypeString";
+    }
+    if (present.every( (value) => typeof value == "number" )) {
+      const isInteger = present.every( (value) => Number.isInteger(value) && Math.abs(value) <= 2147483647 );
+      return isInteger ? "esriFieldTypeInteger" : "esriFieldTypeDouble";
+    }
+    if (present.every( (value) => typeof value == "boolean" )) {
+      return "esriFieldTypeSmallInteger";
+    }
+    if (present.every( (value) => value instanceof Date )) {
+      return "esriFieldTypeDate";
+    }
+    return "esriFieldTypeString";
+  }
+
+  /**
+   * Builds ESRI field definitions and attribute objects from a list of plain property objects. Field types are
+   * inferred from the values and an object id field is generated for every record.
+   * @param {Object[]} records Array of property objects, one per feature.
+   * @returns {Object} Object with fields, objectIdFieldName and attributes (one object per record).
+   */
+  function buildFieldsFromRecords(records) {
+    //Collect every property name in the order they are first seen.
+    const propertyNames = [];
+    records.forEach( (record) => {
+      Object.keys(record || {}).forEach( (key) => {
+        if (!propertyNames.includes(key)) {
+          propertyNames.push(key);
+        }
+      });
+    });
+
+    //Pick an object id field name that doesn't collide with any property.
+    const usedNames = new Set();
+    let objectIdFieldName = "OBJECTID";
+    for (let i = 1; propertyNames.map(sanitizeFieldName).includes(objectIdFieldName); i++) {
+      objectIdFieldName = `OBJECTID_${i}`;
+    }
+    usedNames.add(objectIdFieldName);
+
+    const fields = [{name: objectIdFieldName, alias: objectIdFieldName, type: "esriFieldTypeOID"}];
+    const fieldMap = propertyNames.map( (propertyName) => {
+      let fieldName = sanitizeFieldName(propertyName);
+      for (let i = 1; usedNames.has(fieldName); i++) {
+        fieldName = `${sanitizeFieldName(propertyName)}_${i}`;
+      }
+      usedNames.add(fieldName);
+
+      const values = records.map( (record) => record ? record[propertyName] : undefined );
+      const type = inferFieldType(values);
+      const field = {name: fieldName, alias: String(propertyName), type: type};
+      if (type == "esriFieldTypeString") {
+        field.length = values.reduce( (length, value) => (value == null) ? length :
+          Math.max(length, toFieldValue(value, type).length), 255 );
+      }
+      fields.push(field);
+      return {propertyName: propertyName, field: field};
+    });
+
+    const attributes = records.map( (record, index) => {
+      const attributes = {[objectIdFieldName]: index + 1};
+      fieldMap.forEach( ({propertyName, field}) => {
+        const value = record ? record[propertyName] : undefined;
+        attributes[field.name] = (value == null) ? null : toFieldValue(value, field.type);
+      });
+      return attributes;
+    });
+
+    return {fields: fields, objectIdFieldName: objectIdFieldName, attributes: attributes};
+  }
+
+  /**
+   * Converts a plain value to the representation used for a field of the given type.
+   * @param {*} value 
+   * @param {string} type ESRI field type
+   * @returns {*}
+   */
+  function toFieldValue(value, type) {
+    switch (type) {
+      case "esriFieldTypeSmallInteger":
+        return (typeof value == "boolean") ? Number(value) : value;
+      case "esriFieldTypeDate":
+        return value.getTime();
+      case "esriFieldTypeString":
+        return (typeof value == "object") ? JSON.stringify(value) : String(value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Converts an attribute value to a field type, as needed when the type of a field changes.
+   * @param {*} value Value in its current type, null for no value.
+   * @param {string} type ESRI field type to convert to.
+   * @param {number} length Maximum length of string fields.
+   * @returns {*} The converted value, null for no value, or undefined if the value can't be converted.
+   */
+  function convertFieldValue(value, type, length = undefined) {
+    if (value == null || value === "") {
+      return null;
+    }
+    const integerRanges = {esriFieldTypeSmallInteger: 32767, esriFieldTypeInteger: 2147483647};
+    switch (type) {
+      case "esriFieldTypeSmallInteger":
+      case "esriFieldTypeInteger": {
+        const number = Math.round(Number(value));
+        return (isNaN(number) || Math.abs(number) > integerRanges[type]) ? undefined : number;
+      }
+      case "esriFieldTypeSingle":
+      case "esriFieldTypeDouble": {
+        const number = Number(value);
+        return isNaN(number) ? undefined : number;
+      }
+      case "esriFieldTypeDate": {
+        const time = (typeof value == "number") ? value : Date.parse(value);
+        return isNaN(time) ? undefined : time;
+      }
+      case "esriFieldTypeString": {
+        const text = String(value);
+        return (length && text.length > length) ? undefined : text;
+      }
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Checks whether a value is allowed by a field domain.
+   * @param {*} value 
+   * @param {Object} domain Coded value or range domain JSON.
+   * @returns {boolean}
+   */
+  function valueFitsDomain(value, domain) {
+    if (value == null || !domain) {
+      return true;
+    }
+    if (domain.type == "codedValue") {
+      return domain.codedValues.some( (codedValue) => codedValue.code == value );
+    }
+    return value >= domain.range[0] && value <= domain.range[1];
+  }
+
+  /**
+   * Returns the well-known id of a spatial reference, treating the different ids of web mercator as one.
+   * @param {Object} spatialReference Spatial reference JSON, may be undefined.
+   * @returns {number} The wkid, or undefined if the spatial reference has none.
+   */
+  function normalizeWkid(spatialReference) {
+    if (!spatialReference) {
+      return undefined;
+    }
+    const wkid = spatialReference.latestWkid || spatialReference.wkid;
+    return [102100, 102113, 900913].includes(wkid) ? 3857 : wkid;
+  }
+
+  /**
+   * Finds the bounding box of every coordinate in a list of ESRI geometries.
+   * @param {Object[]} geometries ESRI geometry JSON objects, null entries are skipped.
+   * @returns {Object} Object with xmin, ymin, xmax and ymax, or undefined if there are no coordinates.
+   */
+  function getCoordinateBounds(geometries) {
+    const bounds = {xmin: Infinity, ymin: Infinity, xmax: -Infinity, ymax: -Infinity};
+    const addCoordinate = ([x, y]) => {
+      bounds.xmin = Math.min(bounds.xmin, x);
+      bounds.ymin = Math.min(bounds.ymin, y);
+      bounds.xmax = Math.max(bounds.xmax, x);
+      bounds.ymax = Math.max(bounds.ymax, y);
+    };
+    geometries.forEach( (geometry) => {
+      if (!geometry) {
+        return;
+      }
+      if (geometry.x != undefined) {
+        addCoordinate([geometry.x, geometry.y]);
+      }
+      (geometry.points || []).forEach( addCoordinate );
+      [...(geometry.paths || []), ...(geometry.rings || [])].forEach( (part) => part.forEach( addCoordinate ) );
+    });
+    return (bounds.xmin <= bounds.xmax) ? bounds : undefined;
+  }
+
+  /**
+   * Guesses the coordinate system of coordinates from their range.
+   * @param {Object} bounds Bounding box of the coordinates.
+   * @returns {number} The likely wkid, or undefined if the range doesn't point to one.
+   */
+  function guessWkid(bounds) {
+    const within = (xmin, ymin, xmax, ymax) => bounds.xmin >= xmin && bounds.ymin >= ymin && bounds.xmax <= xmax &&
+      bounds.ymax <= ymax;
+    if (within(-180, -90, 180, 90)) {
+      return 4326;
+    }
+    //The area covered by RD New (EPSG:28992), the Dutch national grid.
+    if (within(-7000, 289000, 300000, 629000)) {
+      return 28992;
+    }
+    if (within(-20037508.35, -20037508.35, 20037508.35, 20037508.35)) {
+      return 3857;
+    }
+    return undefined;
+  }
+
+  /**
+   * Checks whether the features in a features file can be placed on the map: that they have a spatial reference the
+   * map can project, and coordinates that fit it.
+   * @param {Object} object FeatureSet JSON of the features file.
+   * @returns {Object} Object with the wkid of the file and a list of problems.
+   */
+  async function inspectSpatialReference(object) {
+    const features = object.features || [];
+    const firstGeometry = features.map( (feature) => feature.geometry ).find( (geometry) => geometry );
+    const wkid = normalizeWkid(object.spatialReference || (firstGeometry && firstGeometry.spatialReference));
+    const bounds = getCoordinateBounds(features.map( (feature) => feature.geometry ));
+    const problems = [];
+
+    if (!wkid) {
+      const guess = bounds ? guessWkid(bounds) : undefined;
+      problems.push("The file has no spatial reference" + (guess ? `, the coordinates look like EPSG:${guess}` : ""));
+      return {wkid: undefined, problems: problems};
+    }
+    if (wkid == 4326 && bounds && guessWkid(bounds) != 4326) {
+      const guess = guessWkid(bounds);
+      problems.push("The coordinates are outside the range of longitude and latitude" +
+        (guess ? `, they look like EPSG:${guess}` : ""));
+    }
+
+    //Anything other than WGS84 and web mercator needs the projection engine, which doesn't know every wkid.
+    if (![4326, 3857].includes(wkid)) {
+      try {
+        await projection.load();
+        const testPoint = new Point({x: bounds ? bounds.xmin : 0, y: bounds ? bounds.ymin : 0,
+          spatialReference: {wkid: wkid}});
+        if (!projection.project(testPoint, SpatialReference.WGS84)) {
+          throw new Error("no result");
+        }
+      } catch (error) {
+        problems.push(`EPSG:${wkid} can't be projected, the features can't be placed on the map`);
+      }
+    }
+    return {wkid: wkid, problems: problems};
+  }
+
+  /**
+   * Reprojects the features of a FeatureSet JSON object, applying the default datum transformation between the
+   * coordinate systems so that for example RD New data lines up with WGS84 basemaps.
+   * @param {Object} object FeatureSet JSON, changed in place.
+   * @param {number} outWkid wkid to reproject to.
+   * @param {number} fallbackWkid wkid of the features if the object doesn't record one.
+   * @returns {Object} The reprojected object.
+   */
+  async function reprojectFeatureSetJSON(object, outWkid, fallbackWkid = undefined) {
+    const features = object.features || [];
+    const firstGeometry = features.map( (feature) => feature.geometry ).find( (geometry) => geometry );
+    const inWkid = normalizeWkid(object.spatialReference || (firstGeometry && firstGeometry.spatialReference)) ||
+      fallbackWkid;
+    if (!inWkid) {
+      throw new Error("The features have no spatial reference, enter the one they use to reproject them");
+    }
+    if (inWkid == normalizeWkid({wkid: outWkid})) {
+      return object;
+    }
+
+    await projection.load();
+    const inSpatialReference = new SpatialReference({wkid: inWkid});
+    const outSpatialReference = new SpatialReference({wkid: outWkid});
+    const geometries = features.map( (feature) => feature.geometry ?
+      geometryJsonUtils.fromJSON(Object.assign({}, feature.geometry, {spatialReference: {wkid: inWkid}})) : null );
+    const transformation = projection.getTransformation(inSpatialReference, outSpatialReference);
+    const projected = projection.project(geometries.filter( (geometry) => geometry ), outSpatialReference,
+      transformation);
+
+    let index = 0;
+    features.forEach( (feature, featureIndex) => {
+      if (!geometries[featureIndex]) {
+        return;
+      }
+      const geometry = projected[index++];
+      if (!geometry) {
+        throw new Error(`Feature ${featureIndex + 1} can't be projected from EPSG:${inWkid} to EPSG:${outWkid}`);
+      }
+      feature.geometry = geometry.toJSON();
+      delete feature.geometry.spatialReference;
+    });
+    object.spatialReference = {wkid: outWkid};
+    return object;
+  }
+
+  /**
+   * Converts a GeoJSON geometry into ESRI JSON geometry.
+   * @param {Object} geometry GeoJSON geometry object.
+   * @returns {Object} Object with the ESRI geometryType and geometry.
+   */
+  function geoJSONGeometryToEsri(geometry) {
+    switch (geometry.type) {
+      case "Point":
+        return {geometryType: "esriGeometryPoint", geometry: {x: geometry.coordinates[0], y: geometry.coordinates[1]}};
+      case "MultiPoint":
+        return {geometryType: "esriGeometryMultipoint", geometry: {points: geometry.coordinates}};
+      case "LineString":
+        return {geometryType: "esriGeometryPolyline", geometry: {paths: [geometry.coordinates]}};
+      case "MultiLineString":
+        return {geometryType: "esriGeometryPolyline", geometry: {paths: geometry.coordinates}};
+      case "Polygon":
+      case "MultiPolygon": {
+        //ESRI rings are clockwise for exterior rings and counter clockwise for holes, the reverse of GeoJSON.
+        const polygons = (geometry.type == "Polygon") ? [geometry.coordinates] : geometry.coordinates;
+        const rings = [];
+        polygons.forEach( (polygon) => {
+          polygon.forEach( (ring, index) => rings.push(orientRing(ring, index == 0)) );
+        });
+        return {geometryType: "esriGeometryPolygon", geometry: {rings: rings}};
+      }
+      default:
+        throw new Error(`Unsupported GeoJSON geometry type: ${geometry.type}`);
+    }
+  }
+
+  /**
+   * Converts a GeoJSON FeatureCollection into ESRI FeatureSet JSON that can be saved as a project features file.
+   * @param {Object} geojson GeoJSON FeatureCollection.
+   * @returns {Object} ESRI FeatureSet JSON.
+   */
+  function geoJSONToFeatureSetJSON(geojson) {
+    //GeoJSON is WGS84 unless a legacy named crs member says otherwise.
+    let wkid = 4326;
+    const crsName = geojson.crs && geojson.crs.properties && geojson.crs.properties.name;
+    const crsMatch = crsName ? /EPSG:+(\d+)/i.exec(crsName) : null;
+    if (crsMatch) {
+      wkid = Number(crsMatch[1]);
+    }
+    const spatialReference = {wkid: wkid};
+
+    //Multi-part geometries can hold single part ones, any other mix can't be stored in one feature set.
+    const compatibleTypes = {
+      esriGeometryPoint: "esriGeometryMultipoint",
+    };
+    let geometryType;
+    const geometries = geojson.features.map( (feature) => {
+      if (!feature.geometry) {
+        return null;
+      }
+      const converted = geoJSONGeometryToEsri(feature.geometry);
+      if (geometryType == undefined || geometryType == converted.geometryType) {
+        geometryType = converted.geometryType;
+      } else if (compatibleTypes[geometryType] == converted.geometryType) {
+        geometryType = converted.geometryType;
+      } else if (compatibleTypes[converted.geometryType] != geometryType) {
+        throw new Error(`GeoJSON mixes ${geometryType} and ${converted.geometryType} geometries`);
+      }
+      converted.geometry.spatialReference = spatialReference;
+      return converted.geometry;
+    });
+
+    //Points have to become multipoints if the collection also contains multipoints.
+    if (geometryType == "esriGeometryMultipoint") {
+      geometries.forEach( (geometry) => {
+        if (geometry && geometry.x != undefined) {
+          geometry.points = [[geometry.x, geometry.y]];
+          delete geometry.x;
+          delete geometry.y;
+        }
+      });
+    }
+
+    const {fields, objectIdFieldName, attributes} = buildFieldsFromRecords(
+      geojson.features.map( (feature) => feature.properties ));
+
+    return {
+      objectIdFieldName: objectIdFieldName,
+      geometryType: geometryType,
+      spatialReference: spatialReference,
+      fields: fields,
+      features: geometries.map( (geometry, index) => ({geometry: geometry, attributes: attributes[index]}) ),
+    };
+  }
+
+  /**
+   * Converts an ESRI geometry into a GeoJSON geometry. Web mercator coordinates are converted to WGS84.
+   * @param {Geometry} geometry ESRI geometry object.
+   * @returns {Object} GeoJSON geometry
+   */
+  function esriGeometryToGeoJSON(geometry) {
+    if (geometry.spatialReference && geometry.spatialReference.isWebMercator) {
+      geometry = webMercatorUtils.webMercatorToGeographic(geometry);
+    }
+    switch (geometry.type) {
+      case "point":
+        return {type: "Point", coordinates: [geometry.x, geometry.y]};
+      case "multipoint":
+        return {type: "MultiPoint", coordinates: geometry.points};
+      case "polyline":
+        return (geometry.paths.length == 1) ?
+          {type: "LineString", coordinates: geometry.paths[0]} :
+          {type: "MultiLineString", coordinates: geometry.paths};
+      case "polygon": {
+        //Clockwise rings are exteriors, holes belong to the exterior ring that contains them.
+        const polygons = [];
+        const holes = [];
+        geometry.rings.forEach( (ring) => {
+          if (ringSignedArea(ring) > 0) {
+            polygons.push([orientRing(ring, false)]);
+          } else {
+            holes.push(orientRing(ring, true));
+          }
+        });
+        holes.forEach( (hole) => {
+          const owner = polygons.find( (polygon) => pointInRing(hole[0], polygon[0]) ) || polygons[polygons.length - 1];
+          if (owner) {
+            owner.push(hole);
+          }
+        });
+        return (polygons.length == 1) ?
+          {type: "Polygon", coordinates: polygons[0]} :
+          {type: "MultiPolygon", coordinates: polygons};
+      }
+      default:
+        throw new Error(`Unsupported geometry type: ${geometry.type}`);
+    }
+  }
+
+  /**
+   * Converts an ESRI FeatureSet into a GeoJSON FeatureCollection. Date fields are written as ISO strings.
+   * @param {FeatureSet} fs 
+   * @returns {Object} GeoJSON FeatureCollection
+   */
+  function featureSetToGeoJSON(fs) {
+    const dateFields = (fs.fields || []).filter( (field) => field.type == "date" ).map( (field) => field.name );
+    const collection = {
+      type: "FeatureCollection",
+      features: fs.features.map( (feature) => {
+        const properties = Object.assign({}, feature.attributes);
+        dateFields.forEach( (name) => {
+          if (properties[name] != null) {
+            properties[name] = new Date(properties[name]).toISOString();
+          }
+        });
+        return {
+          type: "Feature",
+          geometry: feature.geometry ? esriGeometryToGeoJSON(feature.geometry) : null,
+          properties: properties,
+        };
+      }),
+    };
+
+    //Coordinates that are neither WGS84 nor web mercator are left untouched, so record their system.
+    const spatialReference = fs.spatialReference;
+    if (spatialReference && spatialReference.wkid && !spatialReference.isWGS84 && !spatialReference.isWebMercator) {
+      collection.crs = {type: "name", properties: {name: `urn:ogc:def:crs:EPSG::${spatialReference.wkid}`}};
+    }
+    return collection;
+  }
+
+  /**
+   * Parses CSV text into a header row and data rows. Quoted values may contain delimiters, quotes ("") and line
+   * breaks. The delimiter is detected from the header line, supporting commas, semicolons and tabs.
+   * @param {string} text 
+   * @returns {Object} Object with delimiter, headers (string array) and rows (array of {line, values}).
+   */
+  function parseCSV(text) {
+    //Remove a byte order mark left by spreadsheet programs.
+    text = text.replace(/^\uFEFF/, "");
+
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [",", ";", "\t"].reduce( (best, candidate) =>
+      (headerLine.split(candidate).length > headerLine.split(best).length) ? candidate : best, ",");
+
+    const records = [];
+    let values = [];
+    let value = "";
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char == "\"" && text[i + 1] == "\"") {
+          value += "\"";
+          i++;
+        } else if (char == "\"") {
+          inQuotes = false;
+        } else {
+          if (char == "\n") {
+            line++;
+          }
+          value += char;
+        }
+      } else if (char == "\"") {
+        inQuotes = true;
+      } else if (char == delimiter) {
+        values.push(value);
+        value = "";
+      } else if (char == "\n" || char == "\r") {
+        if (char == "\r" && text[i + 1] == "\n") {
+          i++;
+        }
+        values.push(value);
+        records.push({line: recordLine, values: values});
+        values = [];
+        value = "";
+        line++;
+        recordLine = line;
+      } else {
+        value += char;
+      }
+    }
+    if (value != "" || values.length > 0) {
+      values.push(value);
+      records.push({line: recordLine, values: values});
+    }
+
+    //Blank lines, usually at the end of the file, are not rows.
+    const nonEmpty = records.filter( (record) => record.values.some( (cell) => cell.trim() != "" ) );
+    //Headers are used as property names, so blank and repeated ones are made unique.
+    const headers = [];
+    (nonEmpty.length ? nonEmpty[0].values : []).forEach( (header, index) => {
+      const base = header.trim() || `Field_${index + 1}`;
+      let unique = base;
+      for (let i = 2; headers.includes(unique); i++) {
+        unique = `${base}_${i}`;
+      }
+      headers.push(unique);
+    });
+    return {delimiter: delimiter, headers: headers, rows: nonEmpty.slice(1)};
+  }
+
+  /**
+   * Parses a number from a CSV value. A comma is accepted as decimal separator unless the file is comma delimited.
+   * @param {string} value 
+   * @param {string} delimiter Delimiter of the CSV file the value came from.
+   * @returns {number} The parsed number or NaN.
+   */
+  function parseCSVNumber(value, delimiter) {
+    let trimmed = value.trim();
+    if (delimiter != "," && /^[-+]?\d*,\d+$/.test(trimmed)) {
+      trimmed = trimmed.replace(",", ".");
+    }
+    return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed) ? Number(trimmed) : NaN;
+  }
+
+  /**
+   * Parses a date from a CSV value. Only ISO 8601 style dates (yyyy-mm-dd with an optional time) are recognised, as
+   * other formats are ambiguous between day and month.
+   * @param {string} value 
+   * @returns {Date} The parsed date or undefined.
+   */
+  function parseCSVDate(value) {
+    const trimmed = value.trim();
+    if (!/^\d{4}[-/]\d{2}[-/]\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(trimmed)) {
+      return undefined;
+    }
+    const date = new Date(trimmed.replace(/\//g, "-").replace(" ", "T"));
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+
+  /**
+   * Determines the type of a CSV column from its values. Empty values are ignored.
+   * @param {string[]} values 
+   * @param {string} delimiter 
+   * @returns {string} One of "integer", "double", "date" or "string".
+   */
+  function inferCSVColumnType(values, delimiter) {
+    const present = values.filter( (value) => value != undefined && value.trim() != "" );
+    if (present.length == 0) {
+      return "string";
+    }
+    const numbers = present.map( (value) => parseCSVNumber(value, delimiter) );
+    if (numbers.every( (number) => !isNaN(number) )) {
+      return numbers.every( (number) => Number.isInteger(number) ) ? "integer" : "double";
+    }
+    if (present.every( (value) => parseCSVDate(value) )) {
+      return "date";
+    }
+    return "string";
+  }
+
+  /**
+   * Converts a parsed CSV table into ESRI FeatureSet JSON with point geometries read from two coordinate columns.
+   * Rows that can't be converted are skipped and reported.
+   * @param {Object} table Parsed CSV as returned by parseCSV.
+   * @param {string} xColumn Header of the column holding x (longitude) values.
+   * @param {string} yColumn Header of the column holding y (latitude) values.
+   * @param {number} wkid Well-known id of the spatial reference the coordinates are in.
+   * @returns {Object} Object with featureSet (ESRI FeatureSet JSON) and problems (array of strings).
+   */
+  function csvToFeatureSetJSON(table, xColumn, yColumn, wkid) {
+    const xIndex = table.headers.indexOf(xColumn);
+    const yIndex = table.headers.indexOf(yColumn);
+    const problems = [];
+
+    //Keep only rows with the right number of values and valid coordinates.
+    const validRows = [];
+    const geometries = [];
+    table.rows.forEach( (row) => {
+      if (row.values.length != table.headers.length) {
+        problems.push(`Line ${row.line}: expected ${table.headers.length} values but found ${row.values.length}`);
+        return;
+      }
+      const x = parseCSVNumber(row.values[xIndex], table.delimiter);
+      const y = parseCSVNumber(row.values[yIndex], table.delimiter);
+      if (isNaN(x) || isNaN(y)) {
+        problems.push(`Line ${row.line}: invalid coordinates "${row.values[xIndex]}", "${row.values[yIndex]}"`);
+        return;
+      }
+      validRows.push(row);
+      geometries.push({x: x, y: y, spatialReference: {wkid: wkid}});
+    });
+
+    //Convert the text of every column to the type inferred from the column's values.
+    const columnTypes = table.headers.map( (header, index) =>
+      inferCSVColumnType(validRows.map( (row) => row.values[index] ), table.delimiter) );
+    const records = validRows.map( (row) => {
+      const record = {};
+      table.headers.forEach( (header, index) => {
+        const value = row.values[index];
+        if (value.trim() == "") {
+          record[header] = null;
+        } else if (["integer", "double"].includes(columnTypes[index])) {
+          record[header] = parseCSVNumber(value, table.delimiter);
+        } else if (columnTypes[index] == "date") {
+          record[header] = parseCSVDate(value);
+        } else {
+          record[header] = value;
+        }
+      });
+      return record;
+    });
+
+    const {fields, objectIdFieldName, attributes} = buildFieldsFromRecords(records);
+
+    //Whole numbers in a column inferred as double (e.g. "2.0") must stay doubles.
+    columnTypes.forEach( (type, index) => {
+      if (type == "double" && fields[index + 1]) {
+        fields[index + 1].type = "esriFieldTypeDouble";
+      }
+    });
+
+    return {
+      featureSet: {
+        objectIdFieldName: objectIdFieldName,
+        geometryType: "esriGeometryPoint",
+        spatialReference: {wkid: wkid},
+        fields: fields,
+        features: geometries.map( (geometry, index) => ({geometry: geometry, attributes: attributes[index]}) ),
+      },
+      problems: problems,
+    };
+  }
+
+  /**
+   * Finds the distinct values of a field and how often they occur, sorted by value.
+   * @param {Array} values Field values of every feature.
+   * @returns {Object[]} Array of objects with value and count.
+   */
+  function computeUniqueValues(values) {
+    const counts = new Map();
+    values.forEach( (value) => {
+      if (value != null) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    });
+    return [...counts.entries()]
+      .sort( ([a], [b]) => (a < b) ? -1 : (a > b) ? 1 : 0 )
+      .map( ([value, count]) => ({value: value, count: count}) );
+  }
+
+  /**
+   * Splits numeric values into classes.
+   * @param {number[]} values Field values of every feature, non numeric values are ignored.
+   * @param {string} method "equal-interval", "quantile" or "natural-breaks"
+   * @param {number} classCount Number of classes to create.
+   * @returns {Object[]} Array of objects with the min, max and count of each class.
+   */
+  function computeClassBreaks(values, method, classCount) {
+    const sorted = values.filter( (value) => typeof value == "number" && !isNaN(value) ).sort( (a, b) => a - b );
+    if (sorted.length == 0) {
+      return [];
+    }
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    classCount = Math.max(1, Math.min(classCount, sorted.length));
+
+    //Upper bound of every class except the last, which always ends at the maximum.
+    let upperBounds = [];
+    switch (method) {
+      case "equal-interval":
+        for (let i = 1; i < classCount; i++) {
+          upperBounds.push(min + (max - min) * i / classCount);
+        }
+        break;
+      case "quantile":
+        for (let i = 1; i < classCount; i++) {
+          upperBounds.push(sorted[Math.ceil(sorted.length * i / classCount) - 1]);
+        }
+        break;
+      case "natural-breaks":
+        upperBounds = jenksUpperBounds(sorted, classCount);
+        break;
+    }
+    upperBounds.push(max);
+    upperBounds = [...new Set(upperBounds)];
+
+    let lower = min;
+    return upperBounds.map( (upper, index) => {
+      const isFirst = index == 0;
+      const count = sorted.filter( (value) => (isFirst ? value >= lower : value > lower) && value <= upper ).length;
+      const range = {min: lower, max: upper, count: count};
+      lower = upper;
+      return range;
+    });
+  }
+
+  /**
+   * Calculates Jenks natural breaks, which minimise the variance within classes. Large datasets are sampled to keep
+   * the calculation fast.
+   * @param {number[]} sorted Values sorted in ascending order.
+   * @param {number} classCount 
+   * @returns {number[]} Upper bound of every class except the last.
+   */
+  function jenksUpperBounds(sorted, classCount) {
+    const maxSample = 1000;
+    const data = (sorted.length <= maxSample) ? sorted :
+      Array.from({length: maxSample}, (value, index) => sorted[Math.floor(index * sorted.length / maxSample)]);
+    const n = data.length;
+
+    //lowerClassLimits[i][j] is the start of the last class when the first i values are split into j classes.
+    const lowerClassLimits = [];
+    const varianceCombinations = [];
+    for (let i = 0; i <= n; i++) {
+      lowerClassLimits.push(new Array(classCount + 1).fill(0));
+      varianceCombinations.push(new Array(classCount + 1).fill(i == 0 ? 0 : Infinity));
+    }
+    for (let j = 1; j <= classCount; j++) {
+      lowerClassLimits[1][j] = 1;
+      varianceCombinations[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+      let sum = 0;
+      let sumSquares = 0;
+      let variance = 0;
+      for (let m = 1; m <= l; m++) {
+        const lowerIndex = l - m + 1;
+        const value = data[lowerIndex - 1];
+        sum += value;
+        sumSquares += value * value;
+        variance = sumSquares - (sum * sum) / m;
+        if (lowerIndex > 1) {
+          for (let j = 2; j <= classCount; j++) {
+            if (varianceCombinations[l][j] >= variance + varianceCombinations[lowerIndex - 1][j - 1]) {
+              lowerClassLimits[l][j] = lowerIndex;
+              varianceCombinations[l][j] = variance + varianceCombinations[lowerIndex - 1][j - 1];
+            }
+          }
+        }
+      }
+      lowerClassLimits[l][1] = 1;
+      varianceCombinations[l][1] = variance;
+    }
+
+    const upperBounds = [];
+    let k = n;
+    for (let j = classCount; j >= 2; j--) {
+      const lowerIndex = lowerClassLimits[k][j];
+      upperBounds.unshift(data[lowerIndex - 2]);
+      k = lowerIndex - 1;
+    }
+    return upperBounds;
+  }
+
+  /**
+   * Creates evenly spaced colors between two colors.
+   * @param {string} startHex Color of the first class as a hex string (#rrggbb).
+   * @param {string} endHex Color of the last class as a hex string.
+   * @param {number} count Number of colors to create.
+   * @returns {number[][]} Array of [r, g, b, a] colors.
+   */
+  function interpolateColorRamp(startHex, endHex, count) {
+    const start = hexToColor(startHex, 1);
+    const end = hexToColor(endHex, 1);
+    return Array.from({length: count}, (value, index) => {
+      const ratio = (count == 1) ? 0 : index / (count - 1);
+      return start.map( (channel, i) => Math.round(channel + (end[i] - channel) * ratio) );
+    });
+  }
+
+  /**
+   * Converts a hex color string, as used by color inputs, to an ESRI JSON color.
+   * @param {string} hex Color as a hex string (#rrggbb).
+   * @param {number} opacity Opacity between 0 and 1.
+   * @returns {number[]} [r, g, b, a] color.
+   */
+  function hexToColor(hex, opacity) {
+    const channels = [1, 3, 5].map( (offset) => parseInt(hex.slice(offset, offset + 2), 16) );
+    return [...channels, Math.round(opacity * 255)];
+  }
+
+  /**
+   * Converts an ESRI JSON color to a hex color string, leaving out its opacity.
+   * @param {number[]} color [r, g, b, a] color.
+   * @returns {string} Color as a hex string (#rrggbb).
+   */
+  function colorToHex(color) {
+    return "#" + color.slice(0, 3).map( (channel) => channel.toString(16).padStart(2, "0") ).join("");
+  }
+
+  /**
+   * Creates the JSON of a simple symbol suitable for a geometry type.
+   * @param {string} geometryType Geometry type of the features, such as point or polygon.
+   * @param {number[]} color [r, g, b, a] color of the symbol.
+   * @returns {Object} ESRI symbol JSON.
+   */
+  function createDefaultSymbolJSON(geometryType, color) {
+    const outline = {type: "esriSLS", style: "esriSLSSolid", color: [64, 64, 64, 255], width: 0.75};
+    switch (geometryType) {
+      case "polyline":
+        return {type: "esriSLS", style: "esriSLSSolid", color: color, width: 2};
+      case "polygon":
+        return {type: "esriSFS", style: "esriSFSSolid", color: color, outline: outline};
+      default:
+        return {type: "esriSMS", style: "esriSMSCircle", color: color, size: 8, angle: 0, xoffset: 0, yoffset: 0,
+          outline: outline};
+    }
+  }
+
+  /**
+   * Formats a number for a class label, without long fractions.
+   * @param {number} value 
+   * @returns {string}
+   */
+  function formatClassValue(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(6)));
+  }
+
+  /**
+   * Function that saves an object as a JSON file outside of the project using showSaveFilePicker. Browsers without
+   * showSaveFilePicker download the file instead.
+   * @param Object object to be saved as the contents 
+   * @param {string} suggestedName File name initially shown in the picker.
+   */
+  async function saveAsJSON(inputObj, suggestedName = "Unnamed.json") {
+    const fileText = JSON.stringify(inputObj);
+    if (!window.showSaveFilePicker) {
+      downloadFile(new Blob([fileText], {type: "application/json"}), suggestedName);
+      return;
+    }
+
+    //Open the picker window
+    const saveHandle = await window.showSaveFilePicker({
+      id: "saveJSON",
+      suggestedName: suggestedName,
+      types: [{ //ensure file can only be saved as JSON
+        description: "JSON File",
+        accept: {
+          "application/json": [".json", ".geojson"]
+        },
+      }]
+    });
+    const saveWritable = await saveHandle.createWritable();
+    await saveWritable.write(fileText);
+    await saveWritable.close();
+  }
+
+  /**
+   * Turns a file name entered by the user into a JSON file name.
+   * @param {string} name 
+   * @returns {string} The trimmed name ending in .json, or Unnamed.json if no name was given.
+   */
+  function toJSONFileName(name) {
+    const trimmed = name.trim() || "Unnamed";
+    return /\.json$/i.test(trimmed) ? trimmed : `${trimmed}.json`;
+  }
+
+  /**
+   * Downloads a blob as a file through a temporary link.
+   * @param {Blob} blob 
+   * @param {string} fileName 
+   */
+  function downloadFile(blob, fileName) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    //The download starts after the click has been handled, revoking the URL straight away can cancel it.
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+  }
+
+  /**
+   * Lets the user choose a file to open, using showOpenFilePicker where the browser supports it and a file input
+   * otherwise.
+   * @param {Object[]} types Optional accepted file types in the format used by showOpenFilePicker.
+   * @returns {File}
+   */
+  async function pickFile(types = undefined) {
+    if (window.showOpenFilePicker) {
+      const [inputFileHandle] = await window.showOpenFilePicker(types ? {types: types} : {});
+      return await inputFileHandle.getFile();
+    }
+
+    return await new Promise( (resolve) => {
+      const input = document.createElement("input");
+      input.type = "file";
+      if (types) {
+        input.accept = types.flatMap( (type) => Object.values(type.accept).flat() ).join(",");
+      }
+      input.addEventListener("change", () => resolve(input.files[0]));
+      input.click();
+    });
+  }
+
+  /**
+   * Downloads every feature of a hosted feature layer that matches the options of the download widget, then saves
+   * them as a client file or adds them straight to the project.
+   */
+  async function downloadFeatureAsJSON() {
+    const status = document.getElementById("download-status");
+    const createLayer = document.getElementById("download-layer-checkbox").checked;
+    const addToProject = document.getElementById("download-add-checkbox").checked || createLayer;
+    if (addToProject && !projectStorage) {
+      status.innerText = "Connect to a project before adding downloaded features to it.";
+      return;
+    }
+
+    const dlLayer = new FeatureLayer({url: document.getElementById("download-feature-input").value.trim()});
+    try {
+      status.innerText = "Connecting to the feature layer...";
+      await dlLayer.load();
+    } catch (error) {
+      status.innerText = `Could not connect to the feature layer: ${error.message}`;
+      return;
+    }
+
+    //Build the query from the widget options. Features are requested in the layer's own spatial reference so they
+    //are stored unchanged.
+    const outFields = document.getElementById("download-fields-input").value.split(",")
+      .map( (field) => field.trim() ).filter( (field) => field != "" );
+    const query = dlLayer.createQuery();
+    query.where = document.getElementById("download-where-input").value.trim() || "1=1";
+    query.outFields = (outFields.length > 0) ? [...new Set([dlLayer.objectIdField, ...outFields])] : ["*"];
+    query.returnGeometry = true;
+    query.outSpatialReference = dlLayer.spatialReference;
+    if (document.getElementById("download-extent-checkbox").checked) {
+      query.geometry = view.extent;
+      query.spatialRelationship = "intersects";
+    }
+
+    let result;
+    try {
+      result = await queryAllPages(dlLayer, query, (downloaded, total) => {
+        status.innerText = `Downloaded ${downloaded} of ${total} features...`;
+      });
+    } catch (error) {
+      status.innerText = `Could not query the feature layer: ${error.message}`;
+      return;
+    }
+
+    //Keep the layer's full field definitions, including domains and lengths, for the fields that were requested.
+    const geometryTypes = {point: "esriGeometryPoint", multipoint: "esriGeometryMultipoint",
+      polyline: "esriGeometryPolyline", polygon: "esriGeometryPolygon", multipatch: "esriGeometryMultipatch"};
+    const fsJSON = {
+      displayFieldName: dlLayer.displayField,
+      objectIdFieldName: dlLayer.objectIdField,
+      geometryType: geometryTypes[dlLayer.geometryType],
+      spatialReference: dlLayer.spatialReference.toJSON(),
+      fields: dlLayer.fields.filter( (field) => query.outFields.includes("*") || query.outFields.includes(field.name) )
+        .map( (field) => field.toJSON() ),
+      features: result.features,
+    };
+
+    status.innerText = `Downloaded ${result.features.length} of ${result.total} features.`;
+    if (result.failures.length > 0) {
+      status.innerText += ` ${result.failures.length} requests failed: ${result.failures.join("; ")}`;
+      if (!confirm(`${result.total - result.features.length} features could not be downloaded. ` +
+        "Keep the features that were downloaded?")) {
+        return;
+      }
+    }
+
+    const fileName = toJSONFileName(document.getElementById("download-name-input").value || dlLayer.title);
+    if (!addToProject) {
+      await saveAsJSON(fsJSON, fileName);
+      return;
+    }
+
+    //Write the features, and optionally a layer drawing them with the service's renderer, into the project.
+    const existingPaths = ["Features", "Renderers", "Layers"].map( (directoryName) => `${directoryName}/${fileName}` )
+      .filter( (path) => findProjectFile(path) );
+    if (existingPaths.length > 0) {
+      status.innerText += ` Not added to the project, ${existingPaths.join(" and ")} already exists.`;
+      return;
+    }
+    const featureHandle = projectStorage.getFileHandle("Features", fileName);
+    let newFeature;
+    try {
+      await writeJSONToHandle(featureHandle, fsJSON);
+      newFeature = await ProjectFeature.create(featureHandle);
+      projectDependencies.set(newFeature.path, []);
+      //Remember where the features came from so that local edits can be synced back to the service.
+      await ServiceSource.record(fileName, dlLayer.url + (dlLayer.layerId != undefined ? `/${dlLayer.layerId}` : ""),
+        fsJSON, dlLayer.editFieldsInfo ? dlLayer.editFieldsInfo.editDateField : undefined);
+    } catch (error) {
+      status.innerText += ` Could not add the features to the project: ${error.message}`;
+      return;
+    }
+    status.innerText += ` Added to the project as ${newFeature.path}.`;
+
+    if (createLayer) {
+      const layerObject = {featureSet: fileName, title: dlLayer.title, editingEnabled: true};
+      let newLayer;
+      try {
+        if (dlLayer.renderer) {
+          const rendererHandle = projectStorage.getFileHandle("Renderers", fileName);
+          await writeJSONToHandle(rendererHandle, dlLayer.renderer.toJSON());
+          const newRenderer = await ProjectRenderer.create(rendererHandle);
+          projectDependencies.set(newRenderer.path, []);
+          layerObject.renderer = fileName;
+        }
+        const layerHandle = projectStorage.getFileHandle("Layers", fileName);
+        await writeJSONToHandle(layerHandle, layerObject);
+        newLayer = await ProjectLayer.create(layerHandle);
+      } catch (error) {
+        status.innerText += ` Could not add a layer drawing them: ${error.message}`;
+        return;
+      }
+      projectDependencies.set(newLayer.path, getFileReferences("Layers", layerObject));
+      if (newLayer.sourceFS.features.length > 0) {
+        view.goTo(newLayer.sourceFS.features);
+      }
+    }
+  }
+
+  /**
+   * Queries every feature matching a query, one page at a time so that results aren't cut off at the service's
+   * maximum record count. Pages that fail are skipped and reported instead of ending the download.
+   * @param {FeatureLayer} layer Hosted feature layer, already loaded.
+   * @param {Query} query 
+   * @param {Function} onProgress Called with the number of downloaded features and the total after every page.
+   * @returns {Object} Object with the features as JSON, the total number of matching features and the failures.
+   */
+  async function queryAllPages(layer, query, onProgress) {
+    const pageSize = layer.capabilities.query.maxRecordCount || 1000;
+    const features = [];
+    const failures = [];
+
+    //Services that can't page by offset are paged through their object ids instead.
+    const supportsPagination = layer.capabilities.query.supportsPagination;
+    const objectIds = supportsPagination ? undefined : (await layer.queryObjectIds(query)) || [];
+    const total = supportsPagination ? await layer.queryFeatureCount(query) : objectIds.length;
+
+    for (let start = 0; start < total; start += pageSize) {
+      const pageQuery = query.clone();
+      if (supportsPagination) {
+        //Without an order the service may return the features in a different order for every page.
+        pageQuery.orderByFields = [layer.objectIdField];
+        pageQuery.start = start;
+        pageQuery.num = pageSize;
+      } else {
+        pageQuery.objectIds = objectIds.slice(start, start + pageSize);
+      }
+      try {
+        const page = await layer.queryFeatures(pageQuery);
+        page.toJSON().features.forEach( (feature) => features.push(feature) );
+      } catch (error) {
+        failures.push(`features ${start + 1} to ${Math.min(start + pageSize, total)}: ${error.message}`);
+      }
+      onProgress(features.length, total);
+    }
+    return {features: features, total: total, failures: failures};
+  }
+
+  /**
+   * Queries features of a feature service layer by object id, in pages no larger than the service allows.
+   * @param {FeatureLayer} layer Feature service layer, already loaded.
+   * @param {number[]} objectIds 
+   * @param {Object} spatialReference Spatial reference JSON to return the geometries in.
+   * @returns {Map} Map of object id to feature JSON, features that don't exist on the service are left out.
+   */
+  async function queryServiceFeatures(layer, objectIds, spatialReference) {
+    const pageSize = layer.capabilities.query.maxRecordCount || 1000;
+    const features = new Map();
+    for (let start = 0; start < objectIds.length; start += pageSize) {
+      const query = layer.createQuery();
+      query.objectIds = objectIds.slice(start, start + pageSize);
+      query.outFields = ["*"];
+      query.returnGeometry = true;
+      query.outSpatialReference = spatialReference;
+      const fs = await layer.queryFeatures(query);
+      fs.toJSON().features.forEach( (feature) => features.set(feature.attributes[layer.objectIdField], feature) );
+    }
+    return features;
+  }
+
+  /**
+   * Lists every features file downloaded from a feature service, with its local changes, in the sync widget.
+   */
+  async function populateSyncList() {
+    const rows = [];
+    for (const projectFeature of projectFeatures) {
+      const source = await ServiceSource.load(projectFeature.name);
+      if (!source) {
+        continue;
+      }
+      const changes = source.getLocalChanges(projectFeature.object.features);
+      const row = document.createElement("div");
+      row.className = "edit-session-row";
+      const label = document.createElement("div");
+      label.innerText = `${projectFeature.name} (${source.object.url}): ${changes.adds.length} added, ` +
+        `${changes.updates.length} changed, ${changes.deletes.length} deleted`;
+      const button = document.createElement("div");
+      button.className = "esri-button";
+      button.innerText = "Sync";
+      button.dataset.writesProject = "";
+      button.addEventListener("click", () => syncWithService(projectFeature));
+      row.replaceChildren(label, button);
+      rows.push(row);
+    }
+
+    const list = document.getElementById("sync-list");
+    if (rows.length == 0) {
+      list.innerText = "No features in the project were downloaded from a feature service.";
+    } else {
+      list.replaceChildren(...rows);
+    }
+  }
+
+  /**
+   * Submits the local changes of a features file to the feature service it was downloaded from. Features that were
+   * also changed on the service since they were downloaded are conflicts, which the user resolves one by one before
+   * anything is submitted. Afterwards the features file and source are updated to match the service.
+   * @param {ProjectFeature} projectFeature 
+   */
+  async function syncWithService(projectFeature) {
+    const status = document.getElementById("sync-status");
+    const editing = editSessions.some( (session) => session.projectFeature == projectFeature &&
+      session.pendingCount > 0 );
+    if (editing) {
+      status.innerText = `Save or discard the edits to layers using ${projectFeature.name} before syncing.`;
+      return;
+    }
+
+    //The local features are submitted to the service, so they are validated like saved edits.
+    if (!await confirmValidationBeforeSave(projectFeature)) {
+      status.innerText = "Sync cancelled.";
+      return;
+    }
+
+    const source = await ServiceSource.load(projectFeature.name);
+    const serviceLayer = new FeatureLayer({url: source.object.url});
+    const spatialReference = source.object.spatialReference;
+    const toGraphic = (feature) => {
+      const graphic = Graphic.fromJSON(feature);
+      if (graphic.geometry) {
+        graphic.geometry.spatialReference = spatialReference;
+      }
+      return graphic;
+    };
+
+    let outcome;
+    try {
+      outcome = await syncFeatures({
+        objectIdFieldName: source.object.objectIdFieldName,
+        editDateField: source.object.editDateField,
+        sourceFeatures: source.object.features,
+        localFeatures: projectFeature.object.features,
+        service: {
+          query: async (objectIds) => {
+            await serviceLayer.load();
+            return await queryServiceFeatures(serviceLayer, objectIds, spatialReference);
+          },
+          applyEdits: async (edits) => await serviceLayer.applyEdits({
+            addFeatures: edits.adds.map( toGraphic ),
+            updateFeatures: edits.updates.map( toGraphic ),
+            deleteFeatures: edits.deletes.map( (objectId) => ({objectId: objectId}) ),
+          }),
+        },
+        resolveConflicts: resolveSyncConflicts,
+        onProgress: (message) => {
+          status.innerText = message;
+        },
+      });
+    } catch (error) {
+      status.innerText = error.message;
+      return;
+    }
+    if (outcome.status == "unchanged") {
+      status.innerText = `${projectFeature.name} has no local changes.`;
+      return;
+    }
+    if (outcome.status == "cancelled") {
+      status.innerText = "Sync cancelled.";
+      return;
+    }
+
+    //Attachments follow their features to the ids they have after syncing.
+    await removeAttachments(projectFeature.name, outcome.removedIds);
+    await moveAttachments(projectFeature.name, outcome.movedIds);
+
+    source.object.features = outcome.sourceFeatures;
+    await source.save();
+
+    const fileObject = Object.assign({}, projectFeature.object, {features: outcome.localFeatures});
+    await writeJSONToHandle(projectFeature.handle, fileObject);
+    await projectFeature.reload();
+    await refreshDependentFiles(projectFeature.path);
+
+    status.innerText = `Synced ${projectFeature.name}: ${outcome.syncedCount} feature(s) up to date.`;
+    if (outcome.failures.length > 0) {
+      status.innerText += ` ${outcome.failures.length} change(s) failed: ${outcome.failures.join("; ")}`;
+    }
+    populateSyncList();
+  }
+
+  /**
+   * Asks the user how to resolve every conflict found while syncing, showing the fields that differ between the
+   * local copy and the service's copy.
+   * @param {Object[]} conflicts Objects with the object id and the original, local and service versions of a feature.
+   * A missing local or service version means the feature was deleted there.
+   * @returns {Map} Map of object id to "local", "service" or "skip", or undefined if the user cancelled the sync.
+   */
+  function resolveSyncConflicts(conflicts) {
+    if (conflicts.length == 0) {
+      return Promise.resolve(new Map());
+    }
+    const rows = conflicts.map( (conflict) => {
+      const row = document.createElement("div");
+      row.className = "sync-conflict";
+      const title = document.createElement("strong");
+      title.innerText = `Feature ${conflict.id}`;
+
+      //Describe what each side did with the feature.
+      const details = document.createElement("ul");
+      const describe = (text) => {
+        const item = document.createElement("li");
+        item.innerText = text;
+        details.appendChild(item);
+      };
+      if (!conflict.local) {
+        describe("Deleted locally, changed on the service.");
+      } else if (!conflict.service) {
+        describe("Changed locally, deleted on the service.");
+      } else {
+        const fieldNames = new Set([...Object.keys(conflict.local.attributes),
+          ...Object.keys(conflict.service.attributes)]);
+        fieldNames.forEach( (field) => {
+          if (conflict.local.attributes[field] !== conflict.service.attributes[field]) {
+            describe(`${field}: local "${conflict.local.attributes[field]}", service ` +
+              `"${conflict.service.attributes[field]}"`);
+          }
+        });
+        if (JSON.stringify(conflict.local.geometry) != JSON.stringify(conflict.service.geometry)) {
+          describe("The geometry differs.");
+        }
+      }
+
+      const choice = document.createElement("select");
+      choice.className = "esri-input";
+      choice.dataset.id = conflict.id;
+      choice.replaceChildren(new Option("Skip for now", "skip"), new Option("Keep my version", "local"),
+        new Option("Keep the service's version", "service"));
+      row.replaceChildren(title, details, choice);
+      return row;
+    });
+    document.getElementById("sync-conflict-list").replaceChildren(...rows);
+    document.getElementById("sync-conflict-modal").style.display = "block";
+
+    return new Promise( (resolve) => {
+      pendingConflictResolution = resolve;
+    });
+  }
+
+  /**
+   * Closes the conflict window, passing the user's choices on to the sync waiting for them.
+   * @param {boolean} cancelled True if the sync should be abandoned.
+   */
+  function finishConflictResolution(cancelled) {
+    document.getElementById("sync-conflict-modal").style.display = "none";
+    const choices = new Map();
+    document.querySelectorAll("#sync-conflict-list select").forEach( (select) => {
+      choices.set(Number(select.dataset.id), select.value);
+    });
+    if (pendingConflictResolution) {
+      pendingConflictResolution(cancelled ? undefined : choices);
+      pendingConflictResolution = undefined;
+    }
+  }
+
+  /**
+   * Function responsible for selecting a project direcotry and opening it as the current project.
+   */
+  async function connectProjectFolder() {
+    //Allow the user to select a directory (requests read access)
+    const directoryHandle = await window.showDirectoryPicker();
+    await openProject(new FileSystemAccessStorage(directoryHandle));
+  }
+
+  /**
+   * Opens a project kept inside the browser, using the origin private file system where it can be written to and
+   * IndexedDB otherwise. Projects are identified by the name entered in the connect widget.
+   */
+  async function openBrowserProject() {
+    const projectName = document.getElementById("browser-project-input").value.trim();
+    if (!projectName) {
+      return;
+    }
+    const storage = OriginPrivateStorage.isSupported ?
+      await OriginPrivateStorage.open(projectName) :
+      await IndexedDBStorage.open(projectName);
+    await openProject(storage);
+  }
+
+  /**
+   * Opens a project exported as a zip. After checking the zip holds a valid project, its files are either copied into
+   * an empty local folder or opened read-only from memory, as chosen in the connect widget.
+   */
+  async function openProjectFromZip() {
+    const status = document.getElementById("connect-status");
+    const inputFile = await pickFile([{
+      description: "Zip File",
+      accept: {
+        "application/zip": [".zip"]
+      },
+    }]);
+    let zipStorage;
+    try {
+      zipStorage = await MemoryStorage.fromZip(inputFile, inputFile.name.replace(/\.zip$/i, ""),
+        getPackagedDirectoryNames());
+    } catch (error) {
+      status.innerText = `${inputFile.name} could not be read: ${error.message}`;
+      return;
+    }
+
+    const problems = await validateProjectStorage(zipStorage);
+    if (problems.length > 0 && !confirm(`${problems.length} problem(s) were found in ${inputFile.name}:\n` +
+      `${problems.join("\n")}\n\nOpen the project anyway? Files with problems are left out.`)) {
+      return;
+    }
+
+    if (document.getElementById("zip-target-select").value == "memory") {
+      zipStorage.readOnly = true;
+      await openProject(zipStorage);
+      return;
+    }
+
+    //Copying into a folder that already holds a project would mix the two projects.
+    const directoryHandle = await window.showDirectoryPicker({mode: "readwrite"});
+    const folderStorage = new FileSystemAccessStorage(directoryHandle);
+    if ((await listPackagedFiles(folderStorage)).length > 0) {
+      status.innerText = `${directoryHandle.name} already contains project files, choose an empty folder.`;
+      return;
+    }
+    const files = await listPackagedFiles(zipStorage);
+    for (const [index, file] of files.entries()) {
+      status.innerText = `Copying file ${index + 1} of ${files.length} to ${directoryHandle.name}`;
+      await folderStorage.writeFile(file.directoryName, file.name,
+        await zipStorage.readBlob(file.directoryName, file.name));
+    }
+    await openProject(folderStorage);
+  }
+
+  /**
+   * Checks a project storage before it is opened: that it holds project files, that they can be parsed and that every
+   * file they reference is part of the project.
+   * @param {ProjectStorageAbstract} storage 
+   * @returns {string[]} Descriptions of the problems found.
+   */
+  async function validateProjectStorage(storage) {
+    const problems = [];
+    const paths = new Set();
+    const readFiles = [];
+    for (const directory of getProjectDirectories()) {
+      for (const entry of await storage.listFiles(directory.name)) {
+        const path = `${directory.name}/${entry.name}`;
+        paths.add(path);
+        try {
+          const {text} = await storage.readFile(directory.name, entry.name);
+          readFiles.push({path: path, references: getFileReferences(directory.name, JSON.parse(text))});
+        } catch (error) {
+          problems.push(`${path} could not be read: ${error.message}`);
+        }
+      }
+    }
+    if (paths.size == 0) {
+      problems.push("No project files were found, projects keep their files in Layers, Features, Renderers, Symbols " +
+        "and Popups directories");
+    }
+    readFiles.forEach( ({path, references}) => {
+      references.filter( (reference) => !paths.has(reference) ).forEach( (reference) => {
+        problems.push(`${path} references ${reference}, which is not in the project`);
+      });
+    });
+
+    try {
+      JSON.parse((await storage.readFile("", "project.json")).text);
+    } catch (error) {
+      //A missing project.json is replaced by the defaults, one that can't be parsed is a problem.
+      if (error instanceof SyntaxError) {
+        problems.push(`project.json could not be read: ${error.message}`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Lists the directories packaged with a project when it is exported as a zip: the project directories, the
+   * sources of downloaded features and the attachments. The file history is left out, it stays with the original
+   * project.
+   * @returns {string[]}
+   */
+  function getPackagedDirectoryNames() {
+    return [...getProjectDirectories().map( (directory) => directory.name ), ServiceSource.directoryName,
+      "Attachments"];
+  }
+
+  /**
+   * Lists the files of a project storage that are packaged when the project is exported as a zip.
+   * @param {ProjectStorageAbstract} storage 
+   * @returns {Object[]} Array of objects with the directoryName and name of each file.
+   */
+  async function listPackagedFiles(storage) {
+    const files = [];
+    for (const directoryName of getPackagedDirectoryNames()) {
+      for (const entry of await storage.listFiles(directoryName)) {
+        files.push({directoryName: directoryName, name: entry.name});
+      }
+    }
+    if ((await storage.listFiles("")).some( (entry) => entry.name == "project.json" )) {
+      files.push({directoryName: "", name: "project.json"});
+    }
+    return files;
+  }
+
+  /**
+   * Exports the open project as a zip holding its project directories, sources and project.json, which can be opened
+   * again with the connect widget.
+   */
+  async function exportProjectAsZip() {
+    const status = document.getElementById("export-status");
+    if (!projectStorage) {
+      status.innerText = "Connect to a project before exporting it.";
+      return;
+    }
+
+    //Include the current layer arrangement and view.
+    if (projectDocument) {
+      clearTimeout(projectDocument.saveTimer);
+      await projectDocument.save();
+    }
+    const files = await listPackagedFiles(projectStorage);
+    const zipFiles = [];
+    for (const file of files) {
+      zipFiles.push({path: file.directoryName ? `${file.directoryName}/${file.name}` : file.name,
+        data: await projectStorage.readBlob(file.directoryName, file.name)});
+    }
+    const blob = await writeZip(zipFiles);
+
+    status.innerText = editSessions.some( (session) => session.pendingCount > 0 ) ?
+      `Exported ${files.length} files. Edits that haven't been saved are not included.` :
+      `Exported ${files.length} files.`;
+    await saveZip(blob, `${projectStorage.name}.zip`);
+  }
+
+  /**
+   * Saves a zip file outside of the project using showSaveFilePicker, or downloads it in browsers without it.
+   * @param {Blob} blob 
+   * @param {string} suggestedName File name initially shown in the picker.
+   */
+  async function saveZip(blob, suggestedName) {
+    if (!window.showSaveFilePicker) {
+      downloadFile(blob, suggestedName);
+      return;
+    }
+    const saveHandle = await window.showSaveFilePicker({
+      id: "saveZip",
+      suggestedName: suggestedName,
+      types: [{
+        description: "Zip File",
+        accept: {
+          "application/zip": [".zip"]
+        },
+      }]
+    });
+    const saveWritable = await saveHandle.createWritable();
+    await saveWritable.write(blob);
+    await saveWritable.close();
+  }
+
+  /**
+   * Removes every object of the current project from the application and the map.
+   */
+  function closeProject() {
+    clearInterval(fileWatchTimer);
+    fileWatchError = undefined;
+
+    //Forget the document first so removing layers isn't saved as a change to it.
+    if (projectDocument) {
+      clearTimeout(projectDocument.saveTimer);
+    }
+    projectDocument = undefined;
+    historyIndex = undefined;
+    [...projectLayers].forEach( (layer) => layer.remove() );
+    map.layers.filter( (layer) => layer.type == "group" ).forEach( (layer) => map.remove(layer) );
+    projectFeatures.length = 0;
+    projectRenderers.length = 0;
+    projectSymbols.length = 0;
+    projectPopups.length = 0;
+    projectProblems = [];
+    projectDependencies.clear();
+    knownFileTimes.clear();
+    validationIssues = [];
+    renderValidationReport();
+  }
+
+  /**
+   * Runs an async function on every item of an array, with at most limit calls running at the same time.
+   * @param {Array} items 
+   * @param {number} limit 
+   * @param {Function} callback Async function receiving an item and its index.
+   * @returns {Array} The results of the calls, in the order of the items.
+   */
+  async function mapWithLimit(items, limit, callback) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await callback(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({length: Math.min(limit, items.length)}, runNext));
+    return results;
+  }
+
+  /**
+   * Function responsible for opening a project storage, ensuring that it has the appropriate structure and then
+   * adding any contents to the map.
+   * @param {ProjectStorageAbstract} storage 
+   */
+  async function openProject(storage) {
+    closeProject();
+    projectStorage = storage;
+    updateReadOnlyControls();
+    const status = document.getElementById("connect-status");
+    const connectedText = storage.readOnly ?
+      `Opened ${storage.name} read-only, changes can't be saved` : `Connected to: ${storage.name}`;
+    status.innerText = connectedText;
+
+    //Creates the directory structure if non-existant (for local directories this requests write access to the entire
+    //project directory)
+    for (const directory of getProjectDirectories()) {
+      await storage.ensureDirectory(directory.name);
+    }
+    //Files attached to features are kept in their own directory, they aren't loaded as project files.
+    await storage.ensureDirectory("Attachments");
+
+    //Read every file before creating anything so that references can be checked first. A few files are read at a
+    //time, so the text of only those few is held besides the parsed files. Large ones are parsed by the JSON worker.
+    const entries = [];
+    for (const directory of getProjectDirectories()) {
+      for (const entry of await storage.listFiles(directory.name)) {
+        entries.push({directory: directory, entry: entry});
+      }
+    }
+    let readCount = 0;
+    const readFiles = await mapWithLimit(entries, projectFileLoadLimit, async ({directory, entry}) => {
+      const entryHandle = storage.getFileHandle(directory.name, entry.name);
+      const path = `${directory.name}/${entry.name}`;
+      knownFileTimes.set(path, entry.lastModified);
+      try {
+        const fileParams = await directory.fileClass.getFileParams(entryHandle);
+        const references = getFileReferences(directory.name, fileParams.object);
+        projectDependencies.set(path, references);
+        return {path: path, handle: entryHandle, fileParams: fileParams, fileClass: directory.fileClass,
+          references: references};
+      } catch (error) {
+        reportProblem(path, `Could not be read: ${error.message}`);
+      } finally {
+        readCount++;
+        status.innerText = `${connectedText}, reading files: ${readCount} of ${entries.length}`;
+      }
+    });
+    const projectFiles = readFiles.filter( (projectFile) => projectFile != undefined );
+
+    //Add files to the project, skipping those that reference files which are missing or failed to load.
+    //References always point to an earlier directory, so the files of one directory can be created a few at a time
+    //once the directories before it are done.
+    const loadedPaths = new Set();
+    let loadCount = 0;
+    for (const directory of getProjectDirectories()) {
+      const directoryFiles = projectFiles.filter( (projectFile) => projectFile.fileClass == directory.fileClass );
+      await mapWithLimit(directoryFiles, projectFileLoadLimit, async (projectFile) => {
+        const unresolved = projectFile.references.filter( (reference) => !loadedPaths.has(reference) );
+        unresolved.forEach( (reference) => {
+          const exists = projectFiles.some( (other) => other.path == reference );
+          reportProblem(projectFile.path, exists ?
+            `Not loaded because it references ${reference}, which could not be loaded` :
+            `Not loaded because it references ${reference}, which does not exist`);
+        });
+        if (unresolved.length == 0) {
+          try {
+            await projectFile.fileClass.create(projectFile.handle, projectFile.fileParams);
+            loadedPaths.add(projectFile.path);
+          } catch (error) {
+            reportProblem(projectFile.path, `Could not be loaded: ${error.message}`);
+          }
+        }
+        loadCount++;
+        status.innerText = `${connectedText}, loading files: ${loadCount} of ${projectFiles.length}`;
+      });
+
+      //Files finish in any order, keep the loaded objects in file order so the project always opens the same way.
+      const filePaths = directoryFiles.map( (projectFile) => projectFile.path );
+      getProjectFileList(directory.name).sort( (a, b) => filePaths.indexOf(a.path) - filePaths.indexOf(b.path) );
+    }
+    status.innerText = connectedText;
+
+    //Arrange the map as recorded in the project document, which is then kept up to date with changes to the map.
+    const newDocument = await ProjectDocument.load(storage);
+    const viewRestored = newDocument.applyToMap();
+    projectDocument = newDocument;
+    projectDocument.scheduleSave();
+    refreshLayerListWarnings();
+    renderValidationRules();
+
+    renderProblems();
+    problemsWidget.expanded = projectProblems.length > 0;
+
+    //Keep the project in sync with changes made to its files outside of the application.
+    clearInterval(fileWatchTimer);
+    fileWatchTimer = setInterval(checkForProjectChanges, 2000);
+
+    if (viewRestored) {
+      return;
+    }
+
+    //Pan the map to the extents of all features in the project
+    const allFeatures = [];
+    projectLayers.forEach( (layer) => {
+      if (layer.sourceFS) {
+        allFeatures.push(layer.sourceFS.features);
+      }
+    });
+    await view.goTo( allFeatures );
+  }
+
+  /**
+   * Finds the map or group layer that directly contains a layer.
+   * @param {Layer} layer 
+   * @returns {EsriMap|GroupLayer}
+   */
+  function getLayerParent(layer) {
+    if (map.layers.includes(layer)) {
+      return map;
+    }
+    return map.allLayers.find( (other) => other.type == "group" && other.layers.includes(layer) ) || map;
+  }
+
+  /**
+   * Asks the user for a group name and moves a layer into that group, creating the group if needed. An empty name
+   * moves the layer out of its group to the top of the map.
+   * @param {Layer} layer 
+   */
+  function moveLayerToGroup(layer) {
+    const groupName = window.prompt("Group to move the layer to (leave empty to remove it from its group):");
+    if (groupName == null) {
+      return;
+    }
+
+    getLayerParent(layer).remove(layer);
+    if (groupName.trim() == "") {
+      map.add(layer);
+      return;
+    }
+    let groupLayer = map.allLayers.find( (other) => other.type == "group" && other.title == groupName.trim() );
+    if (!groupLayer) {
+      groupLayer = new GroupLayer({title: groupName.trim()});
+      map.add(groupLayer);
+    }
+    groupLayer.add(layer);
+  }
+
+  /**
+   * Removes a group layer, keeping its layers at the position of the group.
+   * @param {GroupLayer} groupLayer 
+   */
+  function ungroupLayers(groupLayer) {
+    const parent = getLayerParent(groupLayer);
+    const index = parent.layers.indexOf(groupLayer);
+    const children = groupLayer.layers.toArray();
+    groupLayer.removeAll();
+    parent.remove(groupLayer);
+    parent.addMany(children, index);
+  }
+
+  /**
+   * Handles the actions added to the layer list items.
+   * @param {Object} event The trigger-action event of the LayerList widget.
+   */
+  function handleLayerListAction(event) {
+    const layer = event.item.layer;
+    switch (event.action.id) {
+      case "move-to-group":
+        moveLayerToGroup(layer);
+        break;
+      case "rename-group": {
+        const title = window.prompt("New group name:", layer.title);
+        if (title && title.trim()) {
+          layer.title = title.trim();
+          scheduleProjectDocumentSave();
+        }
+        break;
+      }
+      case "ungroup":
+        ungroupLayers(layer);
+        break;
+      case "open-table":
+        openAttributeTable(projectLayers.find(element => element.featureLayer == layer));
+        break;
+    }
+  }
+
+  /**
+   * Lists the reasons a layer's features may not be placed correctly, shown as a warning in the layer list.
+   * @param {ProjectLayer} projectLayer 
+   * @returns {string[]}
+   */
+  function getSpatialReferenceWarnings(projectLayer) {
+    const projectFeature = projectLayer && projectLayer.sourceFeature;
+    if (!projectFeature || !projectFeature.spatialInfo) {
+      return [];
+    }
+    const warnings = [...projectFeature.spatialInfo.problems];
+    const projectWkid = projectDocument ? normalizeWkid(projectDocument.object.spatialReference) : undefined;
+    const fileWkid = projectFeature.spatialInfo.wkid;
+    if (projectWkid && fileWkid && fileWkid != projectWkid) {
+      warnings.push(`${projectFeature.name} uses EPSG:${fileWkid} instead of the project's EPSG:${projectWkid}`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Shows the spatial reference warnings of a layer list item's layer in a panel of the item.
+   * @param {ListItem} item 
+   */
+  function updateLayerListWarning(item) {
+    if (item.layer.type == "group") {
+      item.children.forEach( updateLayerListWarning );
+      return;
+    }
+    const warnings = getSpatialReferenceWarnings(projectLayers.find(element => element.featureLayer == item.layer));
+    if (warnings.length == 0) {
+      item.panel = null;
+      return;
+    }
+    const content = document.createElement("ul");
+    content.replaceChildren(...warnings.map( (warning) => {
+      const entry = document.createElement("li");
+      entry.innerText = warning;
+      return entry;
+    }));
+    item.panel = {content: content, className: "esri-icon-notice-triangle", title: "Spatial reference warning"};
+  }
+
+  /**
+   * Updates the spatial reference warnings of every layer in the layer list, after the project spatial reference or
+   * the project's features files change.
+   */
+  function refreshLayerListWarnings() {
+    layerList.operationalItems.forEach( updateLayerListWarning );
+  }
+
+  /**
+   * Whether the open project can't be changed, such as a zipped project opened read-only.
+   * @returns {boolean}
+   */
+  function isProjectReadOnly() {
+    return Boolean(projectStorage && projectStorage.readOnly);
+  }
+
+  /**
+   * Disables every control that writes to the project while the open project is read-only, so the user can't start
+   * changes that would fail when they are written.
+   */
+  function updateReadOnlyControls() {
+    const readOnly = isProjectReadOnly();
+    //Controls that write are marked with a data-writes-project attribute, the stylesheet disables them.
+    document.body.classList.toggle("project-read-only", readOnly);
+    editorExpand.visible = !readOnly;
+    editSessionExpand.visible = !readOnly;
+  }
+
+  /**
+   * Saves the layer arrangement and view to the project document shortly, if a project is open.
+   */
+  function scheduleProjectDocumentSave() {
+    if (projectDocument) {
+      projectDocument.scheduleSave();
+    }
+  }
+
+  /**
+   * Asks the user for a name and adds an empty group layer to the top of the map.
+   */
+  function createLayerGroup() {
+    const title = window.prompt("Group name:");
+    if (title && title.trim()) {
+      map.add(new GroupLayer({title: title.trim()}));
+    }
+  }
+
+  /**
+   * Lists the project directories along with the class used for their files. The order is the order in which files
+   * must be loaded, as files only reference files in earlier directories.
+   * @returns {Object[]} Array of objects with the directory name and fileClass.
+   */
+  function getProjectDirectories() {
+    return [
+      {name: "Symbols", fileClass: ProjectSymbol},
+      {name: "Renderers", fileClass: ProjectRenderer},
+      {name: "Popups", fileClass: ProjectPopup},
+      {name: "Features", fileClass: ProjectFeature},
+      {name: "Layers", fileClass: ProjectLayer},
+    ];
+  }
+
+  /**
+   * Returns the global array holding the loaded objects of a project directory.
+   * @param {string} directoryName 
+   * @returns {ProjectFileAbstract[]}
+   */
+  function getProjectFileList(directoryName) {
+    switch (directoryName) {
+      case "Symbols":
+        return projectSymbols;
+      case "Renderers":
+        return projectRenderers;
+      case "Popups":
+        return projectPopups;
+      case "Features":
+        return projectFeatures;
+      case "Layers":
+        return projectLayers;
+    }
+  }
+
+  /**
+   * Finds the loaded object for a project file path.
+   * @param {string} path Path of the file within the project (directory/file name).
+   * @returns {ProjectFileAbstract} The object or undefined if the file isn't loaded.
+   */
+  function findProjectFile(path) {
+    const [directoryName, name] = splitProjectPath(path);
+    const projectFiles = getProjectFileList(directoryName) || [];
+    return projectFiles.find(element => element.name == name);
+  }
+
+  /**
+   * Removes the problems reported for a project file, used before the file is loaded again.
+   * @param {string} path 
+   */
+  function clearProblems(path) {
+    projectProblems = projectProblems.filter( (problem) => problem.path != path );
+  }
+
+  /**
+   * Finds every loaded file that depends on the given files, directly or through other files.
+   * @param {string[]} paths Paths of the files that changed, such as Symbols/Point.json
+   * @returns {Set<string>} Paths of the dependent files.
+   */
+  function findDependentPaths(paths) {
+    const dependentPaths = new Set();
+    let added = true;
+    while (added) {
+      added = false;
+      projectDependencies.forEach( (references, path) => {
+        const affected = references.some( (reference) => paths.includes(reference) || dependentPaths.has(reference) );
+        if (affected && !dependentPaths.has(path)) {
+          dependentPaths.add(path);
+          added = true;
+        }
+      });
+    }
+    return dependentPaths;
+  }
+
+  /**
+   * Sorts project file paths in directory order, so files come before the files that reference them.
+   * @param {string[]} paths 
+   * @returns {string[]}
+   */
+  function sortProjectPaths(paths) {
+    const directoryOrder = getProjectDirectories().map( (directory) => directory.name );
+    return paths.sort( (a, b) =>
+      directoryOrder.indexOf(splitProjectPath(a)[0]) - directoryOrder.indexOf(splitProjectPath(b)[0]) );
+  }
+
+  /**
+   * Refreshes every file that depends on a file the application has just changed, for example the renderers and
+   * layers using an edited symbol.
+   * @param {string} path Path of the changed file.
+   */
+  async function refreshDependentFiles(path) {
+    const dependentPaths = findDependentPaths([path]);
+    const affectedPaths = new Set([path, ...dependentPaths]);
+    for (const dependentPath of sortProjectPaths([...dependentPaths])) {
+      const [directoryName, name] = splitProjectPath(dependentPath);
+      const directory = getProjectDirectories().find( (element) => element.name == directoryName );
+      const current = {handle: projectStorage.getFileHandle(directoryName, name), fileClass: directory.fileClass};
+      await refreshProjectFile(dependentPath, current, false, affectedPaths);
+    }
+    renderProblems();
+    refreshLayerListWarnings();
+  }
+
+  /**
+   * Compares the files in the project directories with the files that were last seen, then reloads changed files,
+   * loads added files and removes deleted files. Files that depend on a changed file are refreshed as well: renderers
+   * are rebuilt when their symbols change, layers pick up renderer and popup changes in place and are rebuilt when
+   * their layer or features file changes. Layers with unsaved edits are not rebuilt until the edits are saved or
+   * discarded.
+   */
+  async function checkForProjectChanges() {
+    //Skip checks while the page is hidden or a previous check is still running.
+    if (document.visibilityState != "visible" || checkingForChanges) {
+      return;
+    }
+    checkingForChanges = true;
+
+    try {
+      //List every file currently in the project directories.
+      const currentFiles = new Map();
+      for (const directory of getProjectDirectories()) {
+        for (const entry of await projectStorage.listFiles(directory.name)) {
+          currentFiles.set(`${directory.name}/${entry.name}`, {lastModified: entry.lastModified,
+            handle: projectStorage.getFileHandle(directory.name, entry.name), fileClass: directory.fileClass});
+        }
+      }
+      clearFileWatchError();
+
+      const removedPaths = [...knownFileTimes.keys()].filter( (path) => !currentFiles.has(path) );
+      const changedPaths = [...currentFiles.keys()].filter( (path) => {
+        const lastModified = currentFiles.get(path).lastModified;
+        //Files written by the application itself are reloaded when they are written, so they are already up to date.
+        const loaded = findProjectFile(path);
+        if (loaded && loaded.file.lastModified == lastModified) {
+          knownFileTimes.set(path, lastModified);
+          return false;
+        }
+        return knownFileTimes.get(path) != lastModified;
+      });
+
+      if (removedPaths.length == 0 && changedPaths.length == 0) {
+        return;
+      }
+
+      //Collect every file that depends on a changed or removed file, directly or through other files.
+      const dependentPaths = findDependentPaths([...changedPaths, ...removedPaths]);
+      const affectedPaths = new Set(changedPaths);
+      dependentPaths.forEach( (path) => {
+        if (currentFiles.has(path)) {
+          affectedPaths.add(path);
+        }
+      });
+
+      removedPaths.forEach( (path) => {
+        const loaded = findProjectFile(path);
+        if (loaded) {
+          loaded.remove();
+        }
+        clearProblems(path);
+        knownFileTimes.delete(path);
+        projectDependencies.delete(path);
+      });
+
+      for (const path of sortProjectPaths([...affectedPaths])) {
+        const current = currentFiles.get(path);
+        const refreshed = await refreshProjectFile(path, current, changedPaths.includes(path), affectedPaths);
+        if (refreshed) {
+          knownFileTimes.set(path, current.lastModified);
+        }
+      }
+
+      renderProblems();
+      renderEditSessions();
+      refreshLayerListWarnings();
+    } catch (error) {
+      //Checks keep running, for example until a removed folder permission is granted again.
+      if (!fileWatchError) {
+        fileWatchError = ` Changes to the project files can't be checked: ${error.message}`;
+        document.getElementById("connect-status").innerText += fileWatchError;
+      }
+    } finally {
+      checkingForChanges = false;
+    }
+  }
+
+  /**
+   * Removes the note about failing change checks from the project status once the files can be listed again.
+   */
+  function clearFileWatchError() {
+    if (fileWatchError) {
+      const status = document.getElementById("connect-status");
+      status.innerText = status.innerText.replace(fileWatchError, "");
+      fileWatchError = undefined;
+    }
+  }
+
+  /**
+   * Brings a single project file up to date with the file on disk or with the files it references.
+   * @param {string} path Path of the file within the project.
+   * @param {Object} current Object with the handle, lastModified and fileClass of the file on disk.
+   * @param {boolean} fileChanged True if the file itself changed, false if only a file it references changed.
+   * @param {Set} affectedPaths Every path being refreshed in this check.
+   * @returns {boolean} False if refreshing the file was postponed and should be tried again on the next check.
+   */
+  async function refreshProjectFile(path, current, fileChanged, affectedPaths) {
+    const [directoryName] = splitProjectPath(path);
+    const loaded = findProjectFile(path);
+
+    //Rebuilding a layer would lose its unsaved edits.
+    const rebuildLayer = directoryName == "Layers" &&
+      (fileChanged || projectDependencies.get(path).some( (reference) =>
+        reference.startsWith("Features/") && affectedPaths.has(reference) ));
+    clearProblems(path);
+    if (rebuildLayer && loaded && loaded.editSession && loaded.editSession.pendingCount > 0) {
+      reportProblem(path, "Changed on disk, the layer will be reloaded once its unsaved edits are saved or discarded");
+      return false;
+    }
+
+    try {
+      const fileParams = await current.fileClass.getFileParams(current.handle);
+      const references = getFileReferences(directoryName, fileParams.object);
+      projectDependencies.set(path, references);
+
+      const missing = references.filter( (reference) => !findProjectFile(reference) );
+      if (missing.length > 0) {
+        throw new Error(`references ${missing.join(", ")}, which could not be loaded`);
+      }
+
+      if (!loaded) {
+        await current.fileClass.create(current.handle, fileParams);
+      } else if (directoryName != "Layers") {
+        await loaded.reload();
+      } else if (rebuildLayer) {
+        //Create the replacement before removing the old layer so a failure leaves the old layer in place. The new
+        //layer takes the place of the old one, which may be inside a group.
+        const parent = getLayerParent(loaded.featureLayer);
+        const index = parent.layers.indexOf(loaded.featureLayer);
+        const newLayer = await ProjectLayer.create(current.handle, fileParams);
+        loaded.remove();
+        map.remove(newLayer.featureLayer);
+        parent.add(newLayer.featureLayer, index);
+      } else {
+        loaded.applyReferencedFiles();
+      }
+    } catch (error) {
+      reportProblem(path, `Could not be reloaded: ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Finds the other project files that a project file references by name.
+   * @param {string} directoryName Name of the project directory holding the file.
+   * @param {Object} object Parsed JSON contents of the file.
+   * @returns {string[]} Paths (directory/file name) of the referenced files.
+   */
+  function getFileReferences(directoryName, object) {
+    const references = [];
+    if (directoryName == "Layers") {
+      if (object.featureSet) {
+        references.push(`Features/${object.featureSet}`);
+      }
+      if (object.renderer) {
+        references.push(`Renderers/${object.renderer}`);
+      }
+      if (typeof object.popupTemplate == "string" && object.popupTemplate != "") {
+        references.push(`Popups/${object.popupTemplate}`);
+      }
+    } else if (directoryName == "Renderers") {
+      //Symbol file names can appear anywhere a symbol can, for example inside uniqueValueInfos.
+      const findSymbolKeys = (objectToSearch) => {
+        for (const key in objectToSearch) {
+          const value = objectToSearch[key];
+          if (["symbol", "defaultSymbol"].includes(key) && typeof value == "string" && value != "") {
+            references.push(`Symbols/${value}`);
+          } else if (value && typeof value == "object") {
+            findSymbolKeys(value);
+          }
+        }
+      };
+      findSymbolKeys(object);
+    }
+    return [...new Set(references)];
+  }
+
+  /**
+   * Records a problem with a project file so it can be shown in the problems widget.
+   * @param {string} path Path of the file within the project (directory/file name).
+   * @param {string} message Description of the problem.
+   */
+  function reportProblem(path, message) {
+    projectProblems.push({path: path, message: message});
+  }
+
+  /**
+   * Rebuilds the list of problems shown in the problems widget.
+   */
+  function renderProblems() {
+    const list = document.getElementById("problems-list");
+    if (projectProblems.length == 0) {
+      list.innerText = "No problems found in the project.";
+      return;
+    }
+
+    const items = projectProblems.map( (problem) => {
+      const item = document.createElement("li");
+      const path = document.createElement("strong");
+      path.innerText = problem.path;
+      item.append(path, `: ${problem.message}`);
+      return item;
+    });
+    const problemList = document.createElement("ul");
+    problemList.replaceChildren(...items);
+    list.replaceChildren(problemList);
+  }
+
+  /**
+   * Function that adds individual files to the project. The files are selected by users, if they exist outside the 
+   * project structure they will be added.
+   * TODO: Add logic to check if the same file is already in the project to avoid duplication.
+   * @param {string} fileType Simple name for the type of file being added to the project.
+   */
+  async function addFileToProject(fileType) {
+    //Get file from user input
+    const inputFile = await pickFile();
+    let fileText = await inputFile.text();
+    let fileName = inputFile.name;
+
+    //GeoJSON feature collections are converted to ESRI FeatureSet JSON so they can be read like any other features.
+    if (fileType == "feature") {
+      let inputObject;
+      try {
+        inputObject = JSON.parse(fileText);
+        if (isGeoJSON(inputObject)) {
+          inputObject = geoJSONToFeatureSetJSON(inputObject);
+          fileText = JSON.stringify(inputObject);
+          fileName = fileName.replace(/\.(geo)?json$/i, "") + ".json";
+        }
+      } catch (error) {
+        reportProblem(`Features/${fileName}`, `Could not be read, the file was not added: ${error.message}`);
+        renderProblems();
+        problemsWidget.expanded = true;
+        return;
+      }
+      if (document.getElementById("reproject-checkbox").checked) {
+        try {
+          await reprojectFeatureSetJSON(inputObject, getProjectWkid(), getImportSourceWkid());
+        } catch (error) {
+          reportProblem(`Features/${fileName}`, `Could not be reprojected, the file was not added: ${error.message}`);
+          renderProblems();
+          problemsWidget.expanded = true;
+          return;
+        }
+        fileText = JSON.stringify(inputObject);
+      }
+    }
+
+    //Create a handle inside of the project directory and copy the contents of the input file to it.
+    const directoryNames = {feature: "Features", renderer: "Renderers", symbol: "Symbols", popup: "Popups",
+      layer: "Layers"};
+    const newFileHandle = projectStorage.getFileHandle(directoryNames[fileType], fileName);
+
+    //Create an instance of the input file for the current project, reporting files that can't be loaded.
+    const path = `${directoryNames[fileType]}/${fileName}`;
+    try {
+      await writeTextToHandle(newFileHandle, fileText);
+      switch ( fileType ) {
+        case "feature":
+          await new ProjectFeature.create(newFileHandle);
+          break;
+        case "renderer":
+          await new ProjectRenderer.create(newFileHandle);
+          break;
+        case "symbol":
+          await new ProjectSymbol.create(newFileHandle);
+          break;
+        case "popup":
+          await ProjectPopup.create(newFileHandle);
+          break;
+        case "layer":
+          var newLayer = await ProjectLayer.create(newFileHandle);
+          if (newLayer.sourceFS) {
+            view.goTo(newLayer.sourceFS.features);
+          }
+          break;
+      }
+      projectDependencies.set(path, getFileReferences(directoryNames[fileType], JSON.parse(fileText)));
+    } catch (error) {
+      reportProblem(path, `Could not be loaded: ${error.message}`);
+      renderProblems();
+      problemsWidget.expanded = true;
+    }
+  }
+
+  /**
+   * Returns the wkid of the project spatial reference, which imported features can be reprojected to.
+   * @returns {number}
+   */
+  function getProjectWkid() {
+    return projectDocument ? projectDocument.object.spatialReference.wkid : 4326;
+  }
+
+  /**
+   * Returns the wkid entered in the add files widget for imported features that don't record their own.
+   * @returns {number} The wkid, or undefined if none was entered.
+   */
+  function getImportSourceWkid() {
+    return Number(document.getElementById("reproject-source-wkid-input").value) || undefined;
+  }
+
+  /**
+   * Lets the user pick a CSV file and opens the window used to choose its coordinate columns and spatial reference.
+   */
+  async function openCSVImportModal() {
+    addFilesWidget.expanded = false; //Close the widget that opens the window so it won't be in the way.
+
+    const inputFile = await pickFile([{
+      description: "CSV File",
+      accept: {
+        "text/csv": [".csv", ".txt"]
+      },
+    }]);
+    pendingCSVTable = parseCSV(await inputFile.text());
+    const headers = pendingCSVTable.headers;
+
+    //Fill the column lists, preselecting columns with common coordinate names.
+    const guessColumn = (pattern, fallback) => headers.find( (header) => pattern.test(header) ) || fallback;
+    const xSelect = document.getElementById("csv-x-select");
+    xSelect.replaceChildren(...headers.map( (header) => new Option(header, header) ));
+    xSelect.value = guessColumn(/^(x|lon|lng|long|longitude|easting)$/i, headers[0]);
+    const ySelect = document.getElementById("csv-y-select");
+    ySelect.replaceChildren(...headers.map( (header) => new Option(header, header) ));
+    ySelect.value = guessColumn(/^(y|lat|latitude|northing)$/i, headers[1]);
+
+    document.getElementById("csv-file-name").innerText =
+      `${inputFile.name}: ${pendingCSVTable.rows.length} rows, ${headers.length} columns`;
+    document.getElementById("csv-name-input").value = inputFile.name.replace(/\.(csv|txt)$/i, "") + ".json";
+    document.getElementById("csv-import-report").replaceChildren();
+
+    //Open the window
+    document.getElementById("csv-import-modal").style.display = "block";
+  }
+
+  /**
+   * Converts the CSV file chosen in the import window into a features file in the project's Features directory.
+   * Rows that could not be imported are listed in the window, otherwise the window is closed.
+   */
+  async function importCSV() {
+    const report = document.getElementById("csv-import-report");
+    const xColumn = document.getElementById("csv-x-select").value;
+    const yColumn = document.getElementById("csv-y-select").value;
+    //Coordinates without a spatial reference are taken to be in the project's.
+    const wkidText = document.getElementById("csv-wkid-input").value.trim();
+    const wkid = (wkidText == "") ? getProjectWkid() : Number(wkidText);
+    if (!Number.isInteger(wkid) || wkid <= 0) {
+      report.innerText = `${wkidText} is not a valid WKID.`;
+      return;
+    }
+    const fileName = toJSONFileName(document.getElementById("csv-name-input").value);
+    if (findProjectFile(`Features/${fileName}`)) {
+      report.innerText = `Features/${fileName} already exists, choose another name.`;
+      return;
+    }
+
+    const {featureSet, problems} = csvToFeatureSetJSON(pendingCSVTable, xColumn, yColumn, wkid);
+    if (featureSet.features.length == 0) {
+      showCSVImportProblems("None of the rows could be imported, nothing was added to the project:", problems);
+      return;
+    }
+    if (document.getElementById("reproject-checkbox").checked) {
+      try {
+        await reprojectFeatureSetJSON(featureSet, getProjectWkid());
+      } catch (error) {
+        report.innerText = `Could not be reprojected: ${error.message}`;
+        return;
+      }
+    }
+
+    const newFileHandle = projectStorage.getFileHandle("Features", fileName);
+    try {
+      await writeJSONToHandle(newFileHandle, featureSet);
+      await ProjectFeature.create(newFileHandle);
+    } catch (error) {
+      report.innerText = `Could not add Features/${fileName} to the project: ${error.message}`;
+      return;
+    }
+    projectDependencies.set(`Features/${fileName}`, []);
+
+    if (problems.length == 0) {
+      document.getElementById("csv-import-modal").style.display = "none";
+      return;
+    }
+    showCSVImportProblems(`Imported ${featureSet.features.length} features to ${fileName}. ` +
+      `${problems.length} row(s) could not be imported:`, problems);
+  }
+
+  /**
+   * Lists the rows of a CSV file that could not be imported in the import window.
+   * @param {string} message Summary shown above the rows.
+   * @param {string[]} problems 
+   */
+  function showCSVImportProblems(message, problems) {
+    const summary = document.createElement("div");
+    summary.innerText = message;
+    const problemList = document.createElement("ul");
+    problems.forEach( (problem) => {
+      const item = document.createElement("li");
+      item.innerText = problem;
+      problemList.appendChild(item);
+    });
+    document.getElementById("csv-import-report").replaceChildren(summary, problemList);
+  }
+
+  /**
+   * Fills the export widget with every features file and layer in the project.
+   */
+  function populateExportOptions() {
+    const featureOptions = projectFeatures.map( (feature) => new Option(`Features: ${feature.name}`,
+      `feature:${feature.name}`) );
+    const layerOptions = projectLayers.map( (layer) => new Option(`Layer: ${layer.name}`, `layer:${layer.name}`) );
+
+    document.getElementById("export-source-select").replaceChildren(...featureOptions, ...layerOptions);
+  }
+
+  /**
+   * Exports the features file or layer selected in the export widget as a GeoJSON file. Layers are exported with any
+   * edits that have not been saved yet.
+   */
+  async function exportAsGeoJSON() {
+    const selected = document.getElementById("export-source-select").value;
+    if (!selected) {
+      return;
+    }
+    const separator = selected.indexOf(":");
+    const sourceType = selected.slice(0, separator);
+    const sourceName = selected.slice(separator + 1);
+
+    //Attachments are looked up by the ids the features have in their features file, layers can use other ids.
+    let fs;
+    let projectFeature;
+    let objectIdField;
+    let fileObjectId;
+    if (sourceType == "layer") {
+      const layer = projectLayers.find(element => element.name == sourceName);
+      fs = await queryAllFeatures(layer.featureLayer);
+      projectFeature = layer.sourceFeature;
+      objectIdField = layer.featureLayer.objectIdField;
+      fileObjectId = (feature) => getFileObjectId(layer, feature);
+    } else {
+      projectFeature = projectFeatures.find(element => element.name == sourceName);
+      fs = projectFeature.fs;
+      const oidField = (fs.fields || []).find( (field) => field.type == "oid" );
+      objectIdField = oidField ? oidField.name : projectFeature.object.objectIdFieldName;
+      fileObjectId = (feature) => feature.attributes[objectIdField];
+    }
+
+    const baseName = sourceName.replace(/\.json$/i, "");
+    const geoJSON = featureSetToGeoJSON(fs);
+    const exportedIds = new Map();
+    fs.features.forEach( (feature) => {
+      exportedIds.set(fileObjectId(feature), feature.attributes[objectIdField]);
+    });
+    const attachments = projectFeature ?
+      await listAttachments(projectFeature.name, [...exportedIds.keys()]) : [];
+    if (attachments.length == 0) {
+      await saveAsJSON(geoJSON, `${baseName}.geojson`);
+      return;
+    }
+
+    //With attachments the export is a zip holding the GeoJSON file and a folder per feature, named after the object id
+    //the feature has in the GeoJSON file.
+    const zipFiles = [{path: `${baseName}.geojson`, data: JSON.stringify(geoJSON)}];
+    for (const attachment of attachments) {
+      zipFiles.push({
+        path: `attachments/${exportedIds.get(attachment.objectId)}/${attachment.fileName}`,
+        data: await projectStorage.readBlob("Attachments", attachment.attachmentName),
+      });
+    }
+    await saveZip(await writeZip(zipFiles), `${baseName}.zip`);
+  }
+
+  /**
+   * Open the window used to create new layer files.
+   */
+  function openCreateLayerModal() {
+    layerManagementWidget.expanded = false; //Close the widget that opens the window so it won't be in the way.
+
+    //Create the list of features and renderers that available to create a layer from.
+    const featureOptions = projectFeatures.map( (feature) => {
+      const elem = document.createElement("option");
+      elem.value = feature.name;
+      elem.text = feature.name;
+      return elem;
+    });
+
+    const layerSelect = document.getElementById("layer-feature-select");
+    layerSelect.replaceChildren(...featureOptions);
+    layerSelect.appendChild(new Option("None", ""));
+
+    const rendererOptions = projectRenderers.map( ( renderer ) => {
+      const elem = document.createElement("option");
+      elem.value = renderer.name;
+      elem.text = renderer.name;
+      return elem;});
+
+    const rendererSelect = document.getElementById("layer-renderer-select");
+    rendererSelect.replaceChildren(...rendererOptions);
+    rendererSelect.appendChild(new Option("None", ""));
+
+    //Popups can come from a popup file or be generated inline to show every field.
+    const popupOptions = projectPopups.map( (popup) => new Option(popup.name, popup.name) );
+    const popupSelect = document.getElementById("layer-popup-select");
+    popupSelect.replaceChildren(new Option("None", ""), new Option("All fields", "*"), ...popupOptions);
+
+    populateLayerFieldOptions();
 
     //Open the window
     document.getElementById("create-layer-modal").style.display = "block";
   }
 
   /**
-   * Function that takes user input from layer creation window and builds a new JSON Layer file and adds it to the 
-   * project.
+   * Fills the label field list and field alias inputs of the layer creation window with the fields of the selected
+   * features file.
+   */
+  function populateLayerFieldOptions() {
+    const featureName = document.getElementById("layer-feature-select").value;
+    const sourceFeatures = projectFeatures.find(element => element.name == featureName);
+    const fields = sourceFeatures ? sourceFeatures.fs.fields : [];
+
+    const labelSelect = document.getElementById("layer-label-select");
+    labelSelect.replaceChildren(new Option("None", ""), ...fields.map( (field) => new Option(field.name, field.name) ));
+
+    const aliasInputs = fields.map( (field) => {
+      const label = document.createElement("label");
+      label.innerText = field.name;
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "esri-input";
+      input.placeholder = field.alias || field.name;
+      input.dataset.field = field.name;
+      label.appendChild(input);
+      return label;
+    });
+    document.getElementById("layer-alias-fields").replaceChildren(...aliasInputs);
+  }
+
+  /**
+   * Function that takes user input from layer creation window and builds a new JSON Layer file and adds it to the 
+   * project.
+   */
+  async function createNewLayer() {
+    const layerObject = {
+      editingEnabled: document.getElementById("layer-edit-checkbox").checked,
+      visible: document.getElementById("layer-visible-checkbox").checked,
+    };
+
+    //Options left empty are not written so that the layer defaults apply.
+    const optionalValue = (id) => document.getElementById(id).value.trim();
+    if (optionalValue("layer-feature-select")) {
+      layerObject.featureSet = optionalValue("layer-feature-select");
+    }
+    if (optionalValue("layer-renderer-select")) {
+      layerObject.renderer = optionalValue("layer-renderer-select");
+    }
+    if (optionalValue("layer-title-input")) {
+      layerObject.title = optionalValue("layer-title-input");
+    }
+    if (optionalValue("layer-definition-input")) {
+      layerObject.definitionExpression = optionalValue("layer-definition-input");
+    }
+    ["minScale", "maxScale", "opacity"].forEach( (key) => {
+      const value = optionalValue(`layer-${key.toLowerCase()}-input`);
+      if (value != "") {
+        layerObject[key] = Number(value);
+      }
+    });
+
+    const sourceFeatures = projectFeatures.find(element => element.name == layerObject.featureSet);
+    const popupChoice = optionalValue("layer-popup-select");
+    if (popupChoice == "*" && sourceFeatures) {
+      layerObject.popupTemplate = {
+        title: layerObject.title || layerObject.featureSet,
+        fieldInfos: sourceFeatures.fs.fields.map( (field) => ({fieldName: field.name, visible: true}) ),
+      };
+    } else if (popupChoice && popupChoice != "*") {
+      layerObject.popupTemplate = popupChoice;
+    }
+
+    const labelField = optionalValue("layer-label-select");
+    if (labelField) {
+      layerObject.labelingInfo = [{
+        labelExpressionInfo: {expression: `$feature["${labelField}"]`},
+        symbol: {type: "esriTS", color: [0, 0, 0, 255], haloColor: [255, 255, 255, 255], haloSize: 1,
+          font: {family: "Arial", size: 9}},
+      }];
+    }
+
+    const fieldAliases = {};
+    document.querySelectorAll("#layer-alias-fields input").forEach( (input) => {
+      if (input.value.trim()) {
+        fieldAliases[input.dataset.field] = input.value.trim();
+      }
+    });
+    if (Object.keys(fieldAliases).length > 0) {
+      layerObject.fieldAliases = fieldAliases;
+    }
+
+    //Save the layer file in the project's layers directory.
+    const fileName = toJSONFileName(document.getElementById("layer-name-input").value);
+    const newLayerHandle = projectStorage.getFileHandle("Layers", fileName);
+    await writeJSONToHandle(newLayerHandle, layerObject);
+
+    const newLayer = await ProjectLayer.create(newLayerHandle);
+    projectDependencies.set(newLayer.path, getFileReferences("Layers", layerObject));
+    if (newLayer.sourceFS) {
+      view.goTo(newLayer.sourceFS.features);
+    }
+    document.getElementById("create-layer-modal").style.display = "none";
+  }
+
+  /**
+   * Open the window used to build a renderer from the values of a field.
+   */
+  function openRendererBuilderModal() {
+    layerManagementWidget.expanded = false; //Close the widget that opens the window so it won't be in the way.
+
+    const featureOptions = projectFeatures.map( (feature) => new Option(feature.name, feature.name) );
+    document.getElementById("renderer-feature-select").replaceChildren(...featureOptions);
+
+    populateRendererBuilderFields();
+
+    document.getElementById("renderer-builder-modal").style.display = "block";
+  }
+
+  /**
+   * Fills the field list of the renderer builder with the fields of the selected features file. Class breaks can only
+   * be built from numeric fields.
+   */
+  function populateRendererBuilderFields() {
+    //FeatureSet fields use the type names of the JS API, not the esriFieldType names of the JSON.
+    const numericTypes = ["small-integer", "integer", "big-integer", "single", "double", "long"];
+    const rendererType = document.getElementById("renderer-type-select").value;
+    const sourceFeatures = projectFeatures.find( (element) =>
+      element.name == document.getElementById("renderer-feature-select").value );
+    const fields = sourceFeatures ? sourceFeatures.fs.fields.filter( (field) => field.type != "oid" &&
+      (rendererType == "uniqueValue" || numericTypes.includes(field.type)) ) : [];
+
+    const fieldSelect = document.getElementById("renderer-field-select");
+    const previousField = fieldSelect.value;
+    fieldSelect.replaceChildren(...fields.map( (field) => new Option(field.alias || field.name, field.name) ));
+    if (fields.some( (field) => field.name == previousField )) {
+      fieldSelect.value = previousField;
+    }
+
+    //Classification options only apply to class breaks.
+    document.getElementById("renderer-class-options").style.display = (rendererType == "classBreaks") ? "" : "none";
+
+    renderRendererClasses();
+  }
+
+  /**
+   * Calculates the classes of the renderer being built and lists them, each with a choice between the generated ramp
+   * color and the symbols of the project.
+   */
+  function renderRendererClasses() {
+    const sourceFeatures = projectFeatures.find( (element) =>
+      element.name == document.getElementById("renderer-feature-select").value );
+    const field = document.getElementById("renderer-field-select").value;
+    const rendererType = document.getElementById("renderer-type-select").value;
+    const values = (sourceFeatures && field) ?
+      sourceFeatures.fs.features.map( (feature) => feature.attributes[field] ) : [];
+
+    if (rendererType == "uniqueValue") {
+      rendererBuilderClasses = computeUniqueValues(values).map( (entry) => ({
+        value: entry.value,
+        label: String(entry.value),
+        count: entry.count,
+      }));
+    } else {
+      const method = document.getElementById("renderer-method-select").value;
+      const classCount = Number(document.getElementById("renderer-count-input").value) || 1;
+      rendererBuilderClasses = computeClassBreaks(values, method, classCount).map( (range) => ({
+        min: range.min,
+        max: range.max,
+        label: `${formatClassValue(range.min)} - ${formatClassValue(range.max)}`,
+        count: range.count,
+      }));
+    }
+
+    const symbolOptions = () => [new Option("Ramp color", ""),
+      ...projectSymbols.map( (symbol) => new Option(symbol.name, symbol.name) )];
+    const rows = rendererBuilderClasses.map( (entry, index) => {
+      const row = document.createElement("tr");
+      const swatch = document.createElement("td");
+      swatch.className = "renderer-class-swatch";
+      const label = document.createElement("td");
+      label.innerText = entry.label;
+      const count = document.createElement("td");
+      count.innerText = entry.count;
+      const symbolCell = document.createElement("td");
+      const symbolSelect = document.createElement("select");
+      symbolSelect.className = "esri-input";
+      symbolSelect.dataset.index = index;
+      symbolSelect.replaceChildren(...symbolOptions());
+      symbolSelect.addEventListener("change", updateRendererPreview);
+      symbolCell.appendChild(symbolSelect);
+      row.replaceChildren(swatch, label, count, symbolCell);
+      return row;
+    });
+    document.getElementById("renderer-class-list").replaceChildren(...rows);
+    document.getElementById("renderer-class-empty").style.display = (rows.length == 0) ? "" : "none";
+
+    updateRendererPreview();
+  }
+
+  /**
+   * Builds the renderer JSON described by the renderer builder window. Classes using a project symbol reference the
+   * symbol file by name so the renderer follows changes to the symbol, ramp colors are written as inline symbols.
+   * @returns {Object} Renderer JSON in the format of a renderer file.
+   */
+  function buildRendererBuilderJSON() {
+    const sourceFeatures = projectFeatures.find( (element) =>
+      element.name == document.getElementById("renderer-feature-select").value );
+    const geometryType = sourceFeatures ? sourceFeatures.fs.geometryType : undefined;
+    const field = document.getElementById("renderer-field-select").value;
+    const colors = interpolateColorRamp(document.getElementById("renderer-start-color").value,
+      document.getElementById("renderer-end-color").value, rendererBuilderClasses.length);
+    const symbolChoices = [...document.querySelectorAll("#renderer-class-list select")].map( (select) => select.value );
+
+    const symbols = rendererBuilderClasses.map( (entry, index) =>
+      symbolChoices[index] || createDefaultSymbolJSON(geometryType, colors[index]) );
+
+    if (document.getElementById("renderer-type-select").value == "uniqueValue") {
+      return {
+        type: "uniqueValue",
+        field1: field,
+        uniqueValueInfos: rendererBuilderClasses.map( (entry, index) => ({
+          value: String(entry.value),
+          label: entry.label,
+          symbol: symbols[index],
+        })),
+      };
+    }
+    return {
+      type: "classBreaks",
+      field: field,
+      minValue: rendererBuilderClasses.length ? rendererBuilderClasses[0].min : 0,
+      classBreakInfos: rendererBuilderClasses.map( (entry, index) => ({
+        classMinValue: entry.min,
+        classMaxValue: entry.max,
+        label: entry.label,
+        symbol: symbols[index],
+      })),
+    };
+  }
+
+  /**
+   * Shows the renderer being built on a temporary layer of the selected features, and colors the class swatches.
+   */
+  function updateRendererPreview() {
+    const colors = interpolateColorRamp(document.getElementById("renderer-start-color").value,
+      document.getElementById("renderer-end-color").value, rendererBuilderClasses.length);
+    document.querySelectorAll("#renderer-class-list tr").forEach( (row, index) => {
+      const usesRamp = row.querySelector("select").value == "";
+      row.querySelector(".renderer-class-swatch").style.backgroundColor =
+        usesRamp ? `rgb(${colors[index].slice(0, 3).join(",")})` : "transparent";
+    });
+
+    removeRendererPreview();
+    const sourceFeatures = projectFeatures.find( (element) =>
+      element.name == document.getElementById("renderer-feature-select").value );
+    if (!sourceFeatures || rendererBuilderClasses.length == 0) {
+      return;
+    }
+
+    //Symbol file names are replaced in place while building, so the preview is built from a copy.
+    const {rendererObject} = ProjectRenderer.buildRenderer(structuredClone(buildRendererBuilderJSON()));
+    rendererBuilderPreview = new FeatureLayer({
+      title: "Renderer preview",
+      source: sourceFeatures.fs.features.map( (feature) => feature.clone() ),
+      fields: sourceFeatures.fs.fields.map( (field) => field.clone() ),
+      renderer: rendererObject,
+      listMode: "hide",
+    });
+    map.add(rendererBuilderPreview);
+  }
+
+  /**
+   * Removes the temporary layer showing the renderer being built.
+   */
+  function removeRendererPreview() {
+    if (rendererBuilderPreview) {
+      map.remove(rendererBuilderPreview);
+      rendererBuilderPreview.destroy();
+      rendererBuilderPreview = undefined;
+    }
+  }
+
+  /**
+   * Closes the renderer builder window and removes its preview.
+   */
+  function closeRendererBuilderModal() {
+    removeRendererPreview();
+    document.getElementById("renderer-builder-modal").style.display = "none";
+  }
+
+  /**
+   * Saves the renderer being built as a renderer file and adds it to the project. Replacing an existing renderer file
+   * has to be confirmed, the layers using it are refreshed.
+   */
+  async function saveBuiltRenderer() {
+    if (rendererBuilderClasses.length == 0) {
+      alert("The selected field has no values to build a renderer from.");
+      return;
+    }
+    const rendererObject = buildRendererBuilderJSON();
+    const fileName = toJSONFileName(document.getElementById("renderer-name-input").value);
+    const path = `Renderers/${fileName}`;
+    const existing = findProjectFile(path);
+    if (existing && !confirm(`${path} already exists. Replace it? Layers using it will draw with the new renderer.`)) {
+      return;
+    }
+    const rendererHandle = projectStorage.getFileHandle("Renderers", fileName);
+
+    try {
+      await writeJSONToHandle(rendererHandle, rendererObject);
+      if (existing) {
+        await existing.reload();
+      } else {
+        await ProjectRenderer.create(rendererHandle);
+      }
+      clearProblems(path);
+      projectDependencies.set(path, getFileReferences("Renderers", rendererObject));
+      await refreshDependentFiles(path);
+    } catch (error) {
+      reportProblem(path, `Could not be loaded: ${error.message}`);
+      renderProblems();
+      problemsWidget.expanded = true;
+    }
+    closeRendererBuilderModal();
+  }
+
+  /**
+   * Lists every symbol in the project in the symbol gallery with a preview of how it's drawn.
+   */
+  async function populateSymbolGallery() {
+    const items = await Promise.all(projectSymbols.map( async (symbol) => {
+      const item = document.createElement("div");
+      item.className = "symbol-gallery-item";
+      const preview = await symbolUtils.renderPreviewHTML(symbol.symbolObject, {size: 20});
+      const name = document.createElement("span");
+      name.innerText = symbol.name;
+      const editButton = document.createElement("div");
+      editButton.className = "esri-button esri-button--secondary";
+      editButton.innerText = "Edit";
+      editButton.addEventListener("click", () => openSymbolEditor(symbol));
+      item.replaceChildren(preview, name, editButton);
+      return item;
+    }));
+
+    const gallery = document.getElementById("symbol-gallery-list");
+    if (items.length == 0) {
+      gallery.innerText = "No symbols in the project.";
+    } else {
+      gallery.replaceChildren(...items);
+    }
+  }
+
+  /**
+   * Open the window used to create or edit a symbol file.
+   * @param {ProjectSymbol} symbol Symbol to edit, a new symbol is created when left out.
+   */
+  function openSymbolEditor(symbol = undefined) {
+    const editableTypes = ["esriSMS", "esriSLS", "esriSFS", "esriPMS"];
+    const object = symbol ? symbol.symbolObject.toJSON() : {type: "esriSMS"};
+    if (!editableTypes.includes(object.type)) {
+      alert(`${symbol.name} is a ${object.type} symbol, only marker, line and fill symbols can be edited here.`);
+      return;
+    }
+    symbolGalleryWidget.expanded = false; //Close the widget that opens the window so it won't be in the way.
+    editingSymbol = symbol;
+
+    //Fill the form with the symbol being edited, or defaults for a new symbol.
+    const outline = object.outline || {};
+    document.getElementById("symbol-type-select").value = object.type;
+    updateSymbolEditorFields();
+    if (object.style) {
+      document.getElementById("symbol-style-select").value = object.style;
+    }
+    document.getElementById("symbol-color-input").value = colorToHex(object.color || [0, 121, 193, 255]);
+    document.getElementById("symbol-opacity-input").value = object.color ? object.color[3] / 255 : 1;
+    document.getElementById("symbol-size-input").value = object.size || object.width || 8;
+    document.getElementById("symbol-outline-color-input").value = colorToHex(outline.color || [255, 255, 255, 255]);
+    document.getElementById("symbol-outline-width-input").value = (outline.width != undefined) ? outline.width : 1;
+    symbolEditorImage = (object.type == "esriPMS") ? {imageData: object.imageData, contentType: object.contentType,
+      aspectRatio: object.height / object.width} : undefined;
+
+    const nameInput = document.getElementById("symbol-name-input");
+    nameInput.value = symbol ? symbol.name : "";
+    nameInput.disabled = symbol != undefined;
+
+    updateSymbolEditorPreview();
+    document.getElementById("symbol-editor-modal").style.display = "block";
+  }
+
+  /**
+   * Shows the inputs that apply to the symbol type chosen in the symbol editor, and the styles available for it.
+   */
+  function updateSymbolEditorFields() {
+    const styles = {
+      esriSMS: {Circle: "esriSMSCircle", Square: "esriSMSSquare", Diamond: "esriSMSDiamond",
+        Triangle: "esriSMSTriangle", Cross: "esriSMSCross", X: "esriSMSX"},
+      esriSLS: {Solid: "esriSLSSolid", Dash: "esriSLSDash", Dot: "esriSLSDot", "Dash dot": "esriSLSDashDot",
+        "Long dash": "esriSLSLongDash", "Short dash": "esriSLSShortDash"},
+      esriSFS: {Solid: "esriSFSSolid", Hollow: "esriSFSNull", Horizontal: "esriSFSHorizontal",
+        Vertical: "esriSFSVertical", Cross: "esriSFSCross", "Diagonal cross": "esriSFSDiagonalCross",
+        "Forward diagonal": "esriSFSForwardDiagonal", "Backward diagonal": "esriSFSBackwardDiagonal"},
+      esriPMS: {},
+    };
+    const type = document.getElementById("symbol-type-select").value;
+    document.getElementById("symbol-style-select").replaceChildren(
+      ...Object.entries(styles[type]).map( ([label, value]) => new Option(label, value) ));
+
+    //Each group of inputs lists the symbol types it applies to.
+    document.querySelectorAll("#symbol-editor-modal [data-symbol-types]").forEach( (element) => {
+      element.style.display = element.dataset.symbolTypes.split(" ").includes(type) ? "" : "none";
+    });
+  }
+
+  /**
+   * Builds the symbol JSON described by the symbol editor window.
+   * @returns {Object} ESRI symbol JSON.
+   */
+  function buildSymbolEditorJSON() {
+    const type = document.getElementById("symbol-type-select").value;
+    const style = document.getElementById("symbol-style-select").value;
+    const color = hexToColor(document.getElementById("symbol-color-input").value,
+      Number(document.getElementById("symbol-opacity-input").value));
+    const size = Number(document.getElementById("symbol-size-input").value);
+    const outline = {
+      type: "esriSLS",
+      style: "esriSLSSolid",
+      color: hexToColor(document.getElementById("symbol-outline-color-input").value, 1),
+      width: Number(document.getElementById("symbol-outline-width-input").value),
+    };
+
+    switch (type) {
+      case "esriSMS":
+        return {type: type, style: style, color: color, size: size, angle: 0, xoffset: 0, yoffset: 0,
+          outline: outline};
+      case "esriSLS":
+        return {type: type, style: style, color: color, width: size};
+      case "esriSFS":
+        return {type: type, style: style, color: color, outline: outline};
+      case "esriPMS":
+        if (!symbolEditorImage) {
+          return undefined;
+        }
+        return {type: type, imageData: symbolEditorImage.imageData, contentType: symbolEditorImage.contentType,
+          width: size, height: size * symbolEditorImage.aspectRatio, angle: 0, xoffset: 0, yoffset: 0};
+    }
+  }
+
+  /**
+   * Draws a preview of the symbol being edited.
+   */
+  async function updateSymbolEditorPreview() {
+    const preview = document.getElementById("symbol-editor-preview");
+    const symbolJSON = buildSymbolEditorJSON();
+    if (!symbolJSON) {
+      preview.innerText = "Choose an image for the picture marker.";
+      return;
+    }
+    preview.replaceChildren(await symbolUtils.renderPreviewHTML(symbolJsonUtils.fromJSON(symbolJSON), {size: 40}));
+  }
+
+  /**
+   * Asks the user for a local image to use as a picture marker. The image is embedded in the symbol file so the
+   * project doesn't depend on the image file.
+   */
+  async function loadSymbolImage() {
+    const imageFile = await pickFile([{description: "Images", accept: {"image/*": [".png", ".jpg", ".jpeg", ".gif",
+      ".svg"]}}]);
+    const dataURL = await new Promise( (resolve, reject) => {
+      const reader = new FileReader();
+      reader.addEventListener("load", () => resolve(reader.result));
+      reader.addEventListener("error", () => reject(reader.error));
+      reader.readAsDataURL(imageFile);
+    });
+
+    //Keep the image's proportions when it's scaled to the symbol size.
+    const image = new Image();
+    image.src = dataURL;
+    await image.decode();
+    symbolEditorImage = {
+      imageData: dataURL.slice(dataURL.indexOf(",") + 1),
+      contentType: imageFile.type,
+      aspectRatio: (image.naturalWidth > 0) ? image.naturalHeight / image.naturalWidth : 1,
+    };
+    updateSymbolEditorPreview();
+  }
+
+  /**
+   * Saves the symbol editor's symbol to the project's symbols directory and refreshes the renderers and layers that
+   * use it.
+   */
+  async function saveEditedSymbol() {
+    const symbolJSON = buildSymbolEditorJSON();
+    if (!symbolJSON) {
+      alert("Choose an image for the picture marker before saving.");
+      return;
+    }
+    //Round trip through the ESRI utils to write the symbol the way the loader reads it.
+    const symbolObject = symbolJsonUtils.fromJSON(symbolJSON);
+    const fileName = editingSymbol ? editingSymbol.name :
+      toJSONFileName(document.getElementById("symbol-name-input").value);
+    const path = `Symbols/${fileName}`;
+    const symbolHandle = projectStorage.getFileHandle("Symbols", fileName);
+    await writeJSONToHandle(symbolHandle, symbolObject.toJSON());
+
+    try {
+      const existing = findProjectFile(path);
+      if (existing) {
+        await existing.reload();
+      } else {
+        await ProjectSymbol.create(symbolHandle);
+      }
+      clearProblems(path);
+      projectDependencies.set(path, getFileReferences("Symbols", symbolJSON));
+      await refreshDependentFiles(path);
+    } catch (error) {
+      reportProblem(path, `Could not be loaded: ${error.message}`);
+      renderProblems();
+      problemsWidget.expanded = true;
+    }
+    document.getElementById("symbol-editor-modal").style.display = "none";
+    populateSymbolGallery();
+  }
+
+  /**
+   * Opens the attribute table of a project layer, listing every feature of the layer.
+   * @param {ProjectLayer} projectLayer 
+   */
+  async function openAttributeTable(projectLayer) {
+    closeAttributeTable();
+    layerListExpand.expanded = false; //Close the widget that opens the table so it won't be in the way.
+
+    const featureLayer = projectLayer.featureLayer;
+    attributeTableState = {
+      projectLayer: projectLayer,
+      features: [],
+      sortField: undefined,
+      sortDescending: false,
+      filters: {},
+      selectedIds: new Set(),
+      highlight: undefined,
+      //Keep the table up to date with edits made by the Editor, undo, redo and discard.
+      editsHandle: featureLayer.on("edits", () => refreshAttributeTable()),
+    };
+
+    const editable = featureLayer.editingEnabled && projectLayer.editSession != undefined;
+    const calculableFields = featureLayer.fields.filter( (field) => field.editable && field.type != "oid" );
+    document.getElementById("calculate-field-select").replaceChildren(
+      ...calculableFields.map( (field) => new Option(field.alias || field.name, field.name) ));
+    document.getElementById("field-calculator").style.display = editable ? "" : "none";
+    document.getElementById("attribute-table-title").innerText = featureLayer.title;
+    document.getElementById("attribute-table-panel").style.display = "block";
+
+    await refreshAttributeTable();
+  }
+
+  /**
+   * Closes the attribute table and clears its selection from the map.
+   */
+  function closeAttributeTable() {
+    if (!attributeTableState) {
+      return;
+    }
+    attributeTableState.editsHandle.remove();
+    if (attributeTableState.highlight) {
+      attributeTableState.highlight.remove();
+    }
+    attributeTableState = undefined;
+    document.getElementById("attribute-table-panel").style.display = "none";
+  }
+
+  /**
+   * Re-reads the features of the layer shown in the attribute table and redraws it.
+   */
+  async function refreshAttributeTable() {
+    const state = attributeTableState;
+    const fs = await queryAllFeatures(state.projectLayer.featureLayer);
+    if (state != attributeTableState) {
+      return; //The table was closed or opened for another layer in the meantime.
+    }
+    state.features = fs.features;
+
+    //Features that no longer exist can't stay selected.
+    const oidField = state.projectLayer.featureLayer.objectIdField;
+    const existingIds = new Set(state.features.map( (feature) => feature.attributes[oidField] ));
+    state.selectedIds = new Set([...state.selectedIds].filter( (id) => existingIds.has(id) ));
+
+    renderAttributeTable();
+  }
+
+  /**
+   * Formats an attribute value for display in the attribute table.
+   * @param {*} value 
+   * @param {Field} field 
+   * @returns {string}
+   */
+  function formatAttributeValue(value, field) {
+    if (value == null) {
+      return "";
+    }
+    if (field.type == "date") {
+      return new Date(value).toLocaleString();
+    }
+    return String(value);
+  }
+
+  /**
+   * Converts text entered for a field to a value of the field's type.
+   * @param {string} text 
+   * @param {Field} field 
+   * @returns {*} The value, null for empty text.
+   * @throws {Error} If the text can't be read as a value of the field's type.
+   */
+  function parseAttributeValue(text, field) {
+    if (text.trim() == "") {
+      return null;
+    }
+    const numericTypes = ["small-integer", "integer", "big-integer", "single", "double", "long"];
+    if (numericTypes.includes(field.type)) {
+      const value = Number(text);
+      if (isNaN(value)) {
+        throw new Error(`"${text}" is not a number`);
+      }
+      const integerRanges = {"small-integer": [-32768, 32767], "integer": [-2147483648, 2147483647]};
+      if (integerRanges[field.type]) {
+        const [min, max] = integerRanges[field.type];
+        if (!Number.isInteger(value)) {
+          throw new Error(`"${text}" is not a whole number`);
+        }
+        if (value < min || value > max) {
+          throw new Error(`${text} is outside the range of ${field.name}, ${min} to ${max}`);
+        }
+      }
+      return value;
+    }
+    if (field.type == "date") {
+      const value = Date.parse(text);
+      if (isNaN(value)) {
+        throw new Error(`"${text}" is not a date`);
+      }
+      return value;
+    }
+    return text;
+  }
+
+  /**
+   * Tests whether an attribute value matches a column filter. Filters on numeric fields may start with a comparison
+   * operator (>, >=, <, <=, =), any other filter matches values containing the filter text.
+   * @param {*} value 
+   * @param {Field} field 
+   * @param {string} filter 
+   * @returns {boolean}
+   */
+  function matchesColumnFilter(value, field, filter) {
+    const comparison = filter.match(/^\s*(>=|<=|>|<|=)\s*(.+)$/);
+    if (comparison && typeof value == "number" && !isNaN(Number(comparison[2]))) {
+      const target = Number(comparison[2]);
+      switch (comparison[1]) {
+        case ">=": return value >= target;
+        case "<=": return value <= target;
+        case ">": return value > target;
+        case "<": return value < target;
+        case "=": return value == target;
+      }
+    }
+    return formatAttributeValue(value, field).toLowerCase().includes(filter.toLowerCase());
+  }
+
+  /**
+   * Draws the attribute table from its current features, sort order, filters and selection.
+   */
+  function renderAttributeTable() {
+    const state = attributeTableState;
+    const featureLayer = state.projectLayer.featureLayer;
+    const oidField = featureLayer.objectIdField;
+    const fields = featureLayer.fields;
+
+    //Header with a sort toggle and a filter input for every field.
+    const headerRow = document.createElement("tr");
+    const filterRow = document.createElement("tr");
+    headerRow.appendChild(document.createElement("th"));
+    filterRow.appendChild(document.createElement("th"));
+    fields.forEach( (field) => {
+      const header = document.createElement("th");
+      const arrow = (state.sortField == field.name) ? (state.sortDescending ? " ▼" : " ▲") : "";
+      header.innerText = (field.alias || field.name) + arrow;
+      header.addEventListener("click", () => {
+        state.sortDescending = (state.sortField == field.name) ? !state.sortDescending : false;
+        state.sortField = field.name;
+        renderAttributeTable();
+      });
+      headerRow.appendChild(header);
+
+      const filterCell = document.createElement("th");
+      const filterInput = document.createElement("input");
+      filterInput.type = "text";
+      filterInput.className = "esri-input";
+      filterInput.placeholder = "Filter";
+      filterInput.value = state.filters[field.name] || "";
+      filterInput.addEventListener("change", () => {
+        state.filters[field.name] = filterInput.value;
+        renderAttributeTable();
+      });
+      filterCell.appendChild(filterInput);
+      filterRow.appendChild(filterCell);
+    });
+    document.getElementById("attribute-table-head").replaceChildren(headerRow, filterRow);
+
+    //Rows of the features that pass every filter, in sort order.
+    let features = state.features.filter( (feature) => fields.every( (field) => !state.filters[field.name] ||
+      matchesColumnFilter(feature.attributes[field.name], field, state.filters[field.name]) ));
+    if (state.sortField) {
+      const direction = state.sortDescending ? -1 : 1;
+      features = features.slice().sort( (a, b) => {
+        const valueA = a.attributes[state.sortField];
+        const valueB = b.attributes[state.sortField];
+        if (valueA == valueB) {
+          return 0;
+        }
+        //Empty values always come last.
+        if (valueA == null) {
+          return 1;
+        }
+        if (valueB == null) {
+          return -1;
+        }
+        return ((valueA < valueB) ? -1 : 1) * direction;
+      });
+    }
+    state.visibleFeatures = features;
+
+    const editable = featureLayer.editingEnabled && state.projectLayer.editSession != undefined;
+    const rows = features.map( (feature) => {
+      const objectId = feature.attributes[oidField];
+      const row = document.createElement("tr");
+      row.dataset.objectId = objectId;
+      row.classList.toggle("attribute-row-selected", state.selectedIds.has(objectId));
+
+      const selectCell = document.createElement("td");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = state.selectedIds.has(objectId);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) {
+          state.selectedIds.add(objectId);
+        } else {
+          state.selectedIds.delete(objectId);
+        }
+        row.classList.toggle("attribute-row-selected", checkbox.checked);
+        updateAttributeTableSelection();
+      });
+      selectCell.appendChild(checkbox);
+      row.appendChild(selectCell);
+
+      fields.forEach( (field) => {
+        const cell = document.createElement("td");
+        cell.innerText = formatAttributeValue(feature.attributes[field.name], field);
+        if (editable && field.editable && field.type != "oid") {
+          cell.title = "Double click to edit";
+          cell.addEventListener("dblclick", () => editAttributeCell(cell, feature, field));
+        }
+        row.appendChild(cell);
+      });
+      return row;
+    });
+    document.getElementById("attribute-table-body").replaceChildren(...rows);
+    updateAttributeTableSelection();
+  }
+
+  /**
+   * Replaces a cell of the attribute table with an input, and applies the new value to the feature when the input is
+   * done. The edit goes through the layer's edit session like edits made with the Editor.
+   * @param {HTMLElement} cell 
+   * @param {Graphic} feature 
+   * @param {Field} field 
+   */
+  function editAttributeCell(cell, feature, field) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "esri-input";
+    input.value = (field.type == "date" && feature.attributes[field.name] != null) ?
+      new Date(feature.attributes[field.name]).toISOString() : formatAttributeValue(feature.attributes[field.name],
+        field);
+    cell.replaceChildren(input);
+    input.focus();
+
+    let done = false;
+    const finish = async (apply) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      if (!apply) {
+        renderAttributeTable();
+        return;
+      }
+      try {
+        const updated = feature.clone();
+        updated.attributes[field.name] = parseAttributeValue(input.value, field);
+        await attributeTableState.projectLayer.featureLayer.applyEdits({updateFeatures: [updated]});
+      } catch (error) {
+        alert(`Could not update ${field.alias || field.name}: ${error.message}`);
+        renderAttributeTable();
+      }
+    };
+    input.addEventListener("keydown", (event) => {
+      if (event.key == "Enter") {
+        finish(true);
+      } else if (event.key == "Escape") {
+        finish(false);
+      }
+    });
+    input.addEventListener("blur", () => finish(true));
+  }
+
+  /**
+   * Highlights the features selected in the attribute table on the map and updates the selection count.
+   */
+  async function updateAttributeTableSelection() {
+    const state = attributeTableState;
+    const layerView = await view.whenLayerView(state.projectLayer.featureLayer);
+    if (state != attributeTableState) {
+      return;
+    }
+    if (state.highlight) {
+      state.highlight.remove();
+    }
+    state.highlight = layerView.highlight([...state.selectedIds]);
+    document.getElementById("attribute-table-count").innerText =
+      `${state.selectedIds.size} of ${state.features.length} features selected`;
+  }
+
+  /**
+   * Selects or deselects every feature currently shown in the attribute table.
+   * @param {boolean} selected 
+   */
+  function selectAllAttributeRows(selected) {
+    const state = attributeTableState;
+    const oidField = state.projectLayer.featureLayer.objectIdField;
+    state.visibleFeatures.forEach( (feature) => {
+      if (selected) {
+        state.selectedIds.add(feature.attributes[oidField]);
+      } else {
+        state.selectedIds.delete(feature.attributes[oidField]);
+      }
+    });
+    renderAttributeTable();
+  }
+
+  /**
+   * Zooms the map to the features selected in the attribute table.
+   */
+  function zoomToAttributeSelection() {
+    const state = attributeTableState;
+    const oidField = state.projectLayer.featureLayer.objectIdField;
+    const selected = state.features.filter( (feature) => state.selectedIds.has(feature.attributes[oidField]) );
+    if (selected.length > 0) {
+      view.goTo(selected);
+    }
+  }
+
+  /**
+   * Selects the feature clicked on the map in the attribute table, if it belongs to the table's layer. Holding ctrl
+   * adds the feature to the selection instead of replacing it.
+   * @param {Object} event Click event of the view.
+   */
+  async function selectAttributeRowFromMap(event) {
+    const state = attributeTableState;
+    if (!state) {
+      return;
+    }
+    const featureLayer = state.projectLayer.featureLayer;
+    const response = await view.hitTest(event, {include: [featureLayer]});
+    const hit = response.results.find( (result) => result.graphic && result.graphic.layer == featureLayer );
+    if (!hit || state != attributeTableState) {
+      return;
+    }
+    const objectId = hit.graphic.attributes[featureLayer.objectIdField];
+    if (!event.native.ctrlKey) {
+      state.selectedIds.clear();
+    }
+    state.selectedIds.add(objectId);
+    renderAttributeTable();
+
+    const row = document.querySelector(`#attribute-table-body tr[data-object-id="${objectId}"]`);
+    if (row) {
+      row.scrollIntoView({block: "nearest"});
+    }
+  }
+
+  /**
+   * Calculates the field chosen in the field calculator for every selected feature, using an Arcade expression
+   * that can refer to the feature's attributes as $feature.FieldName. All results are applied as one edit so they can
+   * be undone together.
+   */
+  async function calculateField() {
+    const state = attributeTableState;
+    const featureLayer = state.projectLayer.featureLayer;
+    const field = featureLayer.fields.find( (element) =>
+      element.name == document.getElementById("calculate-field-select").value );
+    const expression = document.getElementById("calculate-expression-input").value;
+    const oidField = featureLayer.objectIdField;
+    const selected = state.features.filter( (feature) => state.selectedIds.has(feature.attributes[oidField]) );
+    if (!field || !expression.trim() || selected.length == 0) {
+      alert("Select the features to calculate and enter an expression first.");
+      return;
+    }
+
+    let updates;
+    try {
+      const profile = arcade.createArcadeProfile("field-calculation");
+      const executor = await arcade.createArcadeExecutor(expression, profile);
+      updates = selected.map( (feature) => {
+        const updated = feature.clone();
+        let value = executor.execute({$feature: feature}, {spatialReference: view.spatialReference});
+        if (value instanceof Date) {
+          value = (field.type == "string") ? value.toISOString() : value.getTime();
+        }
+        //Results for integer fields are rounded, values out of the field's range are refused by parseAttributeValue.
+        if (["small-integer", "integer"].includes(field.type) && typeof value == "number") {
+          value = Math.round(value);
+        }
+        //Dates are stored as epoch milliseconds, which parseAttributeValue would read as a date string.
+        if (value == null) {
+          updated.attributes[field.name] = null;
+        } else if (field.type == "date" && typeof value == "number") {
+          updated.attributes[field.name] = value;
+        } else {
+          updated.attributes[field.name] = parseAttributeValue(String(value), field);
+        }
+        return updated;
+      });
+    } catch (error) {
+      alert(`The expression could not be calculated: ${error.message}`);
+      return;
+    }
+
+    const result = await featureLayer.applyEdits({updateFeatures: updates});
+    const failed = result.updateFeatureResults.filter( (updateResult) => updateResult.error );
+    if (failed.length > 0) {
+      alert(`${failed.length} of ${updates.length} features could not be updated: ${failed[0].error.message}`);
+    }
+  }
+
+  /**
+   * Open the window used to edit the fields of a features file.
+   */
+  function openSchemaEditor() {
+    layerManagementWidget.expanded = false; //Close the widget that opens the window so it won't be in the way.
+
+    const featureOptions = projectFeatures.map( (feature) => new Option(feature.name, feature.name) );
+    document.getElementById("schema-feature-select").replaceChildren(...featureOptions);
+    renderSchemaRows();
+
+    document.getElementById("schema-editor-modal").style.display = "block";
+  }
+
+  /**
+   * Lists the fields of the features file chosen in the schema editor, one row of inputs per field.
+   */
+  function renderSchemaRows() {
+    const projectFeature = projectFeatures.find( (element) =>
+      element.name == document.getElementById("schema-feature-select").value );
+    const fields = projectFeature ? projectFeature.object.fields : [];
+    document.getElementById("schema-field-list").replaceChildren(...fields.map( (field) => createSchemaRow(field) ));
+    document.getElementById("schema-status").replaceChildren();
+  }
+
+  /**
+   * Creates the inputs describing one field in the schema editor.
+   * @param {Object} field ESRI field JSON, or undefined for a new field.
+   * @returns {HTMLElement}
+   */
+  function createSchemaRow(field = undefined) {
+    const types = {esriFieldTypeString: "Text", esriFieldTypeSmallInteger: "Short integer",
+      esriFieldTypeInteger: "Integer", esriFieldTypeSingle: "Float", esriFieldTypeDouble: "Double",
+      esriFieldTypeDate: "Date"};
+    const isObjectId = field && field.type == "esriFieldTypeOID";
+    const domain = (field && field.domain) || {};
+
+    const row = document.createElement("details");
+    row.className = "schema-field";
+    row.dataset.originalName = field ? field.name : "";
+    const summary = document.createElement("summary");
+    summary.innerText = field ? field.name : "New field";
+    row.appendChild(summary);
+
+    //Every input is labelled and tagged with the property it sets, so the row can be read back later.
+    const addInput = (labelText, property, element) => {
+      const label = document.createElement("label");
+      label.innerText = labelText;
+      element.dataset.property = property;
+      if (element.type != "checkbox") {
+        element.className = "esri-input";
+      }
+      label.appendChild(element);
+      row.appendChild(label);
+      return element;
+    };
+    const createInput = (type, value) => {
+      const input = document.createElement("input");
+      input.type = type;
+      if (type == "checkbox") {
+        input.checked = value;
+      } else {
+        input.value = (value != undefined) ? value : "";
+      }
+      return input;
+    };
+
+    addInput("Name", "name", createInput("text", field ? field.name : "")).disabled = isObjectId;
+    addInput("Alias", "alias", createInput("text", field ? field.alias : ""));
+    const typeSelect = addInput("Type", "type", document.createElement("select"));
+    typeSelect.replaceChildren(...Object.entries(types).map( ([value, text]) => new Option(text, value) ));
+    if (field && !types[field.type]) {
+      typeSelect.add(new Option(field.type.replace("esriFieldType", ""), field.type));
+    }
+    typeSelect.value = field ? field.type : "esriFieldTypeString";
+    typeSelect.disabled = isObjectId;
+    addInput("Length (text)", "length", createInput("number", field ? field.length : 255));
+    addInput("Required", "required", createInput("checkbox", field ? field.nullable == false : false))
+      .disabled = isObjectId;
+    addInput("Default value", "defaultValue", createInput("text", field ? field.defaultValue : ""))
+      .disabled = isObjectId;
+
+    const domainSelect = addInput("Domain", "domainType", document.createElement("select"));
+    domainSelect.replaceChildren(new Option("None", ""), new Option("Coded values", "codedValue"),
+      new Option("Range", "range"));
+    domainSelect.value = domain.type || "";
+    domainSelect.disabled = isObjectId;
+    const codedValues = (domain.codedValues || []).map( (codedValue) => `${codedValue.code}=${codedValue.name}` );
+    const codedInput = addInput("Coded values (one code=name per line)", "codedValues",
+      document.createElement("textarea"));
+    codedInput.value = codedValues.join("\n");
+    addInput("Range minimum", "rangeMin", createInput("number", domain.range ? domain.range[0] : ""));
+    addInput("Range maximum", "rangeMax", createInput("number", domain.range ? domain.range[1] : ""));
+    if (!isObjectId) {
+      addInput("Delete field", "deleted", createInput("checkbox", false));
+    }
+    return row;
+  }
+
+  /**
+   * Finds the layers drawing a features file, and their renderers and popups, that refer to some of its fields by
+   * name: as a property value, in a {field} placeholder or as $feature.field in an expression.
+   * @param {ProjectFeature} projectFeature 
+   * @param {string[]} fieldNames 
+   * @returns {Object[]} Objects with the path of a file and the fieldNames it refers to.
+   */
+  function findFieldReferences(projectFeature, fieldNames) {
+    if (fieldNames.length == 0) {
+      return [];
+    }
+    const layerPaths = [...projectDependencies.keys()].filter( (path) => splitProjectPath(path)[0] == "Layers" &&
+      projectDependencies.get(path).includes(projectFeature.path) );
+    const paths = new Set(layerPaths);
+    layerPaths.forEach( (layerPath) => projectDependencies.get(layerPath).forEach( (reference) => {
+      if (["Renderers", "Popups"].includes(splitProjectPath(reference)[0])) {
+        paths.add(reference);
+      }
+    }));
+
+    const collectStrings = (value, strings) => {
+      if (typeof value == "string") {
+        strings.push(value);
+      } else if (value && typeof value == "object") {
+        Object.values(value).forEach( (element) => collectStrings(element, strings) );
+      }
+      return strings;
+    };
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const references = [];
+    sortProjectPaths([...paths]).forEach( (path) => {
+      const projectFile = findProjectFile(path);
+      if (!projectFile) {
+        return;
+      }
+      const strings = collectStrings(projectFile.object, []);
+      const used = fieldNames.filter( (name) => {
+        const escaped = escape(name);
+        const pattern = new RegExp(`\\{${escaped}\\}|\\$feature(\\.${escaped}\\b|\\[["']${escaped}["']\\])`);
+        return strings.some( (text) => text == name || pattern.test(text) );
+      });
+      if (used.length > 0) {
+        references.push({path: path, fieldNames: used});
+      }
+    });
+    return references;
+  }
+
+  /**
+   * Reads the field definitions from the rows of the schema editor.
+   * @returns {Object[]} Objects with the originalName (empty for new fields), deleted flag and ESRI field JSON of each
+   * row.
+   * @throws {Error} If a field definition is invalid.
+   */
+  function readSchemaRows() {
+    const definitions = [...document.querySelectorAll("#schema-field-list .schema-field")].map( (row) => {
+      const value = (property) => {
+        const element = row.querySelector(`[data-property="${property}"]`);
+        return element ? ((element.type == "checkbox") ? element.checked : element.value.trim()) : undefined;
+      };
+      const originalName = row.dataset.originalName;
+      const field = {
+        name: sanitizeFieldName(value("name")),
+        alias: value("alias") || value("name"),
+        type: value("type"),
+      };
+      if (field.type == "esriFieldTypeString") {
+        field.length = Number(value("length")) || 255;
+      }
+      if (field.type != "esriFieldTypeOID") {
+        field.nullable = !value("required");
+      }
+      if (!value("name")) {
+        throw new Error("Every field needs a name");
+      }
+
+      if (value("defaultValue") != "" && value("defaultValue") != undefined) {
+        field.defaultValue = convertFieldValue(value("defaultValue"), field.type, field.length);
+        if (field.defaultValue == undefined) {
+          throw new Error(`The default value of ${field.name} doesn't fit the field type`);
+        }
+      }
+
+      if (value("domainType") == "codedValue") {
+        const codedValues = value("codedValues").split("\n").filter( (line) => line.trim() != "" ).map( (line) => {
+          const separator = line.indexOf("=");
+          const code = convertFieldValue((separator < 0) ? line.trim() : line.slice(0, separator).trim(), field.type,
+            field.length);
+          if (code == undefined) {
+            throw new Error(`The coded value "${line}" of ${field.name} doesn't fit the field type`);
+          }
+          return {name: (separator < 0) ? String(code) : line.slice(separator + 1).trim(), code: code};
+        });
+        field.domain = {type: "codedValue", name: `${field.name}_values`, codedValues: codedValues};
+      } else if (value("domainType") == "range") {
+        const range = [Number(value("rangeMin")), Number(value("rangeMax"))];
+        if (value("rangeMin") == "" || value("rangeMax") == "" || range[0] > range[1]) {
+          throw new Error(`The range of ${field.name} needs a minimum that isn't above its maximum`);
+        }
+        field.domain = {type: "range", name: `${field.name}_range`, range: range};
+      }
+      if (field.domain && !valueFitsDomain(field.defaultValue, field.domain)) {
+        throw new Error(`The default value of ${field.name} is not allowed by its domain`);
+      }
+
+      return {originalName: originalName, deleted: value("deleted") == true, field: field};
+    });
+
+    const names = definitions.filter( (definition) => !definition.deleted )
+      .map( (definition) => definition.field.name.toLowerCase() );
+    const duplicate = names.find( (name, index) => names.indexOf(name) != index );
+    if (duplicate) {
+      throw new Error(`More than one field is named ${duplicate}`);
+    }
+    return definitions;
+  }
+
+  /**
+   * Saves the fields defined in the schema editor to the features file, migrating the attribute values of every
+   * feature to the new fields, then reloads the layers using the file so the Editor picks up the new schema.
+   */
+  async function saveSchema() {
+    const status = document.getElementById("schema-status");
+    const projectFeature = projectFeatures.find( (element) =>
+      element.name == document.getElementById("schema-feature-select").value );
+    if (!projectFeature) {
+      return;
+    }
+    const editing = editSessions.some( (session) => session.projectFeature == projectFeature &&
+      session.pendingCount > 0 );
+    if (editing) {
+      status.innerText = `Save or discard the edits to layers using ${projectFeature.name} first.`;
+      return;
+    }
+
+    let definitions;
+    try {
+      definitions = readSchemaRows();
+    } catch (error) {
+      status.innerText = error.message;
+      return;
+    }
+    const kept = definitions.filter( (definition) => !definition.deleted );
+
+    //Build the attributes of every feature for the new fields, counting values that had to be emptied.
+    const notes = [];
+    const features = projectFeature.object.features.map( (feature) => {
+      const attributes = {};
+      kept.forEach( ({originalName, field}) => {
+        let value = originalName ? feature.attributes[originalName] : null;
+        if (value != null) {
+          value = convertFieldValue(value, field.type, field.length);
+          if (value === undefined) {
+            notes.push(`${field.name}: "${feature.attributes[originalName]}" can't be converted and was emptied`);
+            value = null;
+          }
+        }
+        if (value == null && field.defaultValue != undefined && (!originalName || field.nullable == false)) {
+          value = field.defaultValue;
+        }
+        if (!valueFitsDomain(value, field.domain)) {
+          notes.push(`${field.name}: "${value}" is not allowed by the domain`);
+        }
+        if (value == null && field.nullable == false) {
+          notes.push(`${field.name}: a required value is missing`);
+        }
+        attributes[field.name] = value;
+      });
+      return Object.assign({}, feature, {attributes: attributes});
+    });
+
+    //Layers, renderers and popups refer to fields by name, they aren't changed along with the fields.
+    const changedNames = definitions.filter( (definition) => definition.originalName &&
+      (definition.deleted || definition.field.name != definition.originalName) )
+      .map( (definition) => definition.originalName );
+    const references = findFieldReferences(projectFeature, changedNames);
+    if (references.length > 0 && !confirm("Renamed or deleted fields are still used by other project files, which " +
+      "won't draw or show them until they are updated:\n" +
+      references.map( (reference) => `${reference.path}: ${reference.fieldNames.join(", ")}` ).join("\n") +
+      "\nSave the fields anyway?")) {
+      status.innerText = `The fields of ${projectFeature.name} were not saved.`;
+      return;
+    }
+
+    const fields = kept.map( (definition) => definition.field );
+    const objectIdField = fields.find( (field) => field.type == "esriFieldTypeOID" );
+    const fileObject = Object.assign({}, projectFeature.object, {fields: fields, features: features});
+    if (objectIdField) {
+      fileObject.objectIdFieldName = objectIdField.name;
+    }
+    if (!await confirmValidationBeforeSave(projectFeature, fileObject)) {
+      status.innerText = `The fields of ${projectFeature.name} were not saved.`;
+      return;
+    }
+    await writeJSONToHandle(projectFeature.handle, fileObject);
+    await projectFeature.reload();
+    await refreshDependentFiles(projectFeature.path);
+
+    renderSchemaRows();
+    const summary = document.createElement("div");
+    summary.innerText = `Saved the fields of ${projectFeature.name}.` + (notes.length ?
+      ` ${notes.length} value(s) need attention:` : "");
+    const noteList = document.createElement("ul");
+    noteList.replaceChildren(...notes.slice(0, 50).map( (note) => {
+      const item = document.createElement("li");
+      item.innerText = note;
+      return item;
+    }));
+    status.replaceChildren(summary, noteList);
+  }
+
+  /**
+   * Lists the project files that have recorded versions, including files that have since been deleted, in the
+   * history widget.
+   */
+  async function populateHistoryFiles() {
+    const select = document.getElementById("history-file-select");
+    const previous = select.value;
+    const index = await getHistoryIndex();
+    const paths = [...index.keys()].filter( (path) => index.get(path).length > 0 ).sort();
+    select.replaceChildren(...paths.map( (path) => new Option(findProjectFile(path) ? path : `${path} (deleted)`,
+      path) ));
+    if (paths.includes(previous)) {
+      select.value = previous;
+    }
+    renderHistoryVersions();
+  }
+
+  /**
+   * Lists the recorded versions of the file chosen in the history widget.
+   */
+  async function renderHistoryVersions() {
+    const path = document.getElementById("history-file-select").value;
+    const list = document.getElementById("history-version-list");
+    if (!path) {
+      list.innerText = "No versions have been recorded yet, versions are kept whenever a file is saved.";
+      return;
+    }
+    const versions = await listHistoryVersions(path);
+    const rows = versions.map( (version, index) => {
+      const row = document.createElement("div");
+      row.className = "edit-session-row";
+      const label = document.createElement("div");
+      label.innerText = new Date(version.time).toLocaleString() + (index == 0 ? " (latest)" : "");
+      const details = document.createElement("div");
+
+      const actions = [
+        ["Show Changes", () => showHistoryChanges(version, versions[index + 1], details)],
+        ["Restore", () => restoreHistoryVersion(version)],
+      ];
+      const buttons = actions.map( ([text, action]) => {
+        const button = document.createElement("div");
+        button.className = "esri-button esri-button-grouped";
+        button.innerText = text;
+        if (text == "Restore") {
+          button.dataset.writesProject = "";
+        }
+        button.addEventListener("click", action);
+        return button;
+      });
+      row.replaceChildren(label, ...buttons, details);
+      return row;
+    });
+    list.replaceChildren(...rows);
+  }
+
+  /**
+   * Describes what changed in a version of a file compared to the version before it. Deleted features can be
+   * restored from the description.
+   * @param {Object} version The version to describe.
+   * @param {Object} previousVersion The version before it, undefined for the first recorded version.
+   * @param {HTMLElement} container Element to show the description in.
+   */
+  async function showHistoryChanges(version, previousVersion, container) {
+    const addItem = (list, text) => {
+      const item = document.createElement("li");
+      item.innerText = text;
+      list.appendChild(item);
+      return item;
+    };
+    const list = document.createElement("ul");
+    container.replaceChildren(list);
+    if (!previousVersion) {
+      addItem(list, "The first recorded version of the file.");
+      return;
+    }
+
+    const [before, after] = [await readHistoryVersion(previousVersion), await readHistoryVersion(version)];
+    if (splitProjectPath(version.path)[0] != "Features") {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      const changed = [...keys].filter( (key) => JSON.stringify(before[key]) != JSON.stringify(after[key]) );
+      addItem(list, changed.length ? `Changed ${changed.join(", ")}` : "No changes.");
+      return;
+    }
+
+    const diff = diffFeatureSets(before, after);
+    const oidField = before.objectIdFieldName;
+    addItem(list, `${diff.added.length} added, ${diff.modified.length} modified, ${diff.deleted.length} deleted`);
+    diff.modified.forEach( (modification) => {
+      const changes = modification.changes.map( (change) =>
+        `${change.field}: "${change.before}" → "${change.after}"` );
+      if (modification.geometryChanged) {
+        changes.push("geometry changed");
+      }
+      addItem(list, `Feature ${modification.id} modified: ${changes.join(", ")}`);
+    });
+    diff.added.forEach( (feature) => addItem(list, `Feature ${feature.attributes[oidField]} added`) );
+    diff.deleted.forEach( (feature) => {
+      const item = addItem(list, `Feature ${feature.attributes[oidField]} deleted `);
+      const button = document.createElement("div");
+      button.className = "esri-button esri-button-grouped";
+      button.innerText = "Restore Feature";
+      button.dataset.writesProject = "";
+      button.addEventListener("click", () => restoreDeletedFeature(version.path, feature, oidField));
+      item.appendChild(button);
+    });
+  }
+
+  /**
+   * Checks that no layer using a features file has unsaved edits, which restoring the file would overwrite.
+   * @param {string} path Path of the file about to be restored.
+   * @returns {boolean} True if the file can be restored.
+   */
+  function canRestoreProjectFile(path) {
+    const editing = editSessions.some( (session) => session.pendingCount > 0 &&
+      (session.projectFeature.path == path || session.layers.some( (layer) => layer.path == path )) );
+    if (editing) {
+      document.getElementById("history-status").innerText =
+        `Save or discard the edits to layers using ${path} before restoring it.`;
+    }
+    return !editing;
+  }
+
+  /**
+   * Writes a project file and reloads it along with the files depending on it. New features file contents are
+   * validated first.
+   * @param {string} path 
+   * @param {Object} object New contents of the file.
+   * @returns {boolean} False if the file wasn't written because of validation issues.
+   */
+  async function replaceProjectFile(path, object) {
+    const [directoryName, name] = splitProjectPath(path);
+    const directory = getProjectDirectories().find( (element) => element.name == directoryName );
+    const projectFeature = projectFeatures.find( (element) => element.path == path );
+    if (projectFeature && !await confirmValidationBeforeSave(projectFeature, object)) {
+      return false;
+    }
+    const handle = projectStorage.getFileHandle(directoryName, name);
+    await writeJSONToHandle(handle, object);
+
+    const current = {handle: handle, fileClass: directory.fileClass};
+    await refreshProjectFile(path, current, true, new Set([path]));
+    await refreshDependentFiles(path);
+    renderProblems();
+    return true;
+  }
+
+  /**
+   * Restores a project file to a recorded version. The restore itself is recorded too, so it can be reverted.
+   * @param {Object} version 
+   */
+  async function restoreHistoryVersion(version) {
+    if (!canRestoreProjectFile(version.path) ||
+      !confirm(`Restore ${version.path} to the version of ${new Date(version.time).toLocaleString()}?`)) {
+      return;
+    }
+    if (!await replaceProjectFile(version.path, await readHistoryVersion(version))) {
+      document.getElementById("history-status").innerText = `${version.path} was not restored.`;
+      return;
+    }
+    document.getElementById("history-status").innerText = `Restored ${version.path}.`;
+    populateHistoryFiles();
+  }
+
+  /**
+   * Adds a feature that was deleted in an earlier version back to the current features file. The feature gets a new
+   * object id if its old one is in use again.
+   * @param {string} path Path of the features file.
+   * @param {Object} feature Feature JSON as it was before it was deleted.
+   * @param {string} oidField Name of the object id field.
+   */
+  async function restoreDeletedFeature(path, feature, oidField) {
+    const projectFeature = findProjectFile(path);
+    if (!projectFeature) {
+      document.getElementById("history-status").innerText = `Restore ${path} before restoring its features.`;
+      return;
+    }
+    if (!canRestoreProjectFile(path)) {
+      return;
+    }
+    const features = projectFeature.object.features;
+    const restored = structuredClone(feature);
+    const ids = features.map( (element) => element.attributes[oidField] );
+    if (ids.includes(restored.attributes[oidField])) {
+      restored.attributes[oidField] = ids.reduce( (max, id) => Math.max(max, id), 0 ) + 1;
+    }
+    const object = Object.assign({}, projectFeature.object, {features: [...features, restored]});
+    if (!await replaceProjectFile(path, object)) {
+      document.getElementById("history-status").innerText = "The feature was not restored.";
+      return;
+    }
+    document.getElementById("history-status").innerText =
+      `Restored feature ${restored.attributes[oidField]} to ${path}.`;
+    populateHistoryFiles();
+  }
+
+  /**
+   * Names and descriptions of the validation rules. Field rules check the value of one field, collection rules compare
+   * the features of a file with each other and the other rules check each feature by itself.
+   * @returns {Object} Object mapping rule types to their label and the inputs they use.
+   */
+  function getValidationRuleTypes() {
+    return {
+      "simple": {label: "Geometry doesn't intersect itself"},
+      "min-area": {label: "Minimum area (square meters)", usesValue: true},
+      "min-length": {label: "Minimum length (meters)", usesValue: true},
+      "duplicate-geometry": {label: "No duplicate geometries", collection: true},
+      "extent": {label: "Inside the current map extent"},
+      "required": {label: "Field is required", usesField: true},
+      "regex": {label: "Field matches a pattern", usesField: true, usesValue: true},
+      "unique": {label: "Field values are unique", usesField: true, collection: true},
+      "unique-id": {label: "No duplicate object ids", collection: true},
+    };
+  }
+
+  /**
+   * Describes a validation rule for the rule list and validation report.
+   * @param {Object} rule 
+   * @returns {string}
+   */
+  function describeValidationRule(rule) {
+    const ruleType = getValidationRuleTypes()[rule.type];
+    const label = ruleType ? ruleType.label : `Unknown rule ${rule.type}`;
+    const details = [rule.field, rule.value].filter( (detail) => detail != undefined && detail !== "" );
+    return `${rule.featureSet || "All features"}: ${label}${details.length > 0 ? ` (${details.join(", ")})` : ""}`;
+  }
+
+  /**
+   * Lists the validation rules of the project that apply to a features file.
+   * @param {ProjectFeature} projectFeature 
+   * @returns {Object[]}
+   */
+  function getValidationRules(projectFeature) {
+    if (!projectDocument) {
+      return [];
+    }
+    return projectDocument.object.validation.rules.filter( (rule) =>
+      (!rule.featureSet || rule.featureSet == projectFeature.name) && !getValidationRuleProblem(rule) );
+  }
+
+  /**
+   * Checks that a validation rule can be evaluated, as rules in a project.json edited by hand might not.
+   * @param {Object} rule 
+   * @returns {string} Description of the problem, or undefined if the rule is valid.
+   */
+  function getValidationRuleProblem(rule) {
+    const ruleType = getValidationRuleTypes()[rule.type];
+    if (!ruleType) {
+      return `There is no rule of type "${rule.type}".`;
+    }
+    if (ruleType.usesField && (typeof rule.field != "string" || rule.field.trim() == "")) {
+      return "The rule needs the field it applies to.";
+    }
+    if (rule.type == "regex") {
+      try {
+        new RegExp(rule.value);
+      } catch (error) {
+        return `The pattern is not a valid regular expression: ${error.message}`;
+      }
+    } else if (ruleType.usesValue && (rule.value === "" || rule.value == null || isNaN(Number(rule.value)))) {
+      return "The minimum must be a number.";
+    }
+    if (rule.type == "extent") {
+      try {
+        if (!geometryJsonUtils.fromJSON(rule.extent)) {
+          throw new Error("it is missing");
+        }
+      } catch (error) {
+        return `The allowed extent can't be read: ${error.message}`;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Checks a single feature against a rule that doesn't depend on other features.
+   * @param {Object} rule 
+   * @param {Graphic} feature 
+   * @returns {string} Description of the problem, or undefined if the feature passes.
+   */
+  async function checkFeatureRule(rule, feature) {
+    const geometry = feature.geometry;
+    const value = rule.field ? feature.attributes[rule.field] : undefined;
+    //Areas and lengths are measured on the earth for geographic and web mercator data and in map units otherwise.
+    const spatialReference = geometry && geometry.spatialReference;
+    const geodesic = spatialReference && (spatialReference.isGeographic || spatialReference.isWebMercator);
+    switch (rule.type) {
+      case "simple":
+        if (geometry && ["polygon", "polyline"].includes(geometry.type) && !geometryEngine.isSimple(geometry)) {
+          return "The geometry intersects itself";
+        }
+        break;
+      case "min-area":
+        if (geometry && geometry.type == "polygon") {
+          const area = Math.abs(geodesic ? geometryEngine.geodesicArea(geometry, "square-meters") :
+            geometryEngine.planarArea(geometry, "square-meters"));
+          if (area < Number(rule.value)) {
+            return `The area of ${formatClassValue(area)} m² is below the minimum of ${rule.value} m²`;
+          }
+        }
+        break;
+      case "min-length":
+        if (geometry && geometry.type == "polyline") {
+          const length = geodesic ? geometryEngine.geodesicLength(geometry, "meters") :
+            geometryEngine.planarLength(geometry, "meters");
+          if (length < Number(rule.value)) {
+            return `The length of ${formatClassValue(length)} m is below the minimum of ${rule.value} m`;
+          }
+        }
+        break;
+      case "extent":
+        if (geometry) {
+          const extent = geometryJsonUtils.fromJSON(rule.extent);
+          await projection.load();
+          const projected = projection.project(geometry, extent.spatialReference);
+          if (!projected || !geometryEngine.within(projected, extent)) {
+            return "The feature is outside the allowed extent";
+          }
+        }
+        break;
+      case "required":
+        if (value == null || String(value).trim() == "") {
+          return `${rule.field} is empty`;
+        }
+        break;
+      case "regex":
+        if (value != null && !new RegExp(rule.value).test(String(value))) {
+          return `${rule.field} value "${value}" doesn't match ${rule.value}`;
+        }
+        break;
+    }
+    return undefined;
+  }
+
+  /**
+   * Name of the object id field of a feature set.
+   * @param {FeatureSet} featureSet 
+   * @param {Object} object The feature set in JSON form, whose objectIdFieldName is used if no field has the oid type.
+   * @returns {string}
+   */
+  function getObjectIdFieldName(featureSet, object) {
+    const field = featureSet.fields.find( (element) => element.type == "oid" );
+    return field ? field.name : object.objectIdFieldName;
+  }
+
+  /**
+   * Describes a feature that breaks a validation rule for the validation report.
+   * @param {ProjectFeature} projectFeature 
+   * @param {string} objectIdField 
+   * @param {Graphic} feature 
+   * @param {Object} rule 
+   * @param {string} message 
+   * @returns {Object} Validation issue, object with the projectFeature, object id, geometry, rule and message.
+   */
+  function createValidationIssue(projectFeature, objectIdField, feature, rule, message) {
+    return {projectFeature: projectFeature, id: feature.attributes[objectIdField], geometry: feature.geometry,
+      rule: rule, message: message};
+  }
+
+  /**
+   * Describes a collection rule that could not be checked for the validation report. The issue has no feature.
+   * @param {ProjectFeature} projectFeature 
+   * @param {Object} rule 
+   * @param {Error} error 
+   * @returns {Object} Validation issue.
+   */
+  function createRuleErrorIssue(projectFeature, rule, error) {
+    return {projectFeature: projectFeature, id: undefined, geometry: undefined, rule: rule,
+      message: `${describeValidationRule(rule)} could not be checked: ${error.message}`};
+  }
+
+  /**
+   * The value a collection rule compares between features: a field value, the object id or the geometry.
+   * @param {Object} rule 
+   * @param {Graphic} feature 
+   * @param {string} objectIdField 
+   * @returns {string} The value as text, or undefined if the feature has none.
+   */
+  function getCollectionRuleKey(rule, feature, objectIdField) {
+    if (rule.type == "duplicate-geometry") {
+      if (!feature.geometry) {
+        return undefined;
+      }
+      const geometryJSON = feature.geometry.toJSON();
+      delete geometryJSON.spatialReference;
+      return JSON.stringify(geometryJSON);
+    }
+    const value = feature.attributes[(rule.type == "unique-id") ? objectIdField : rule.field];
+    return (value == null) ? undefined : String(value);
+  }
+
+  /**
+   * Groups features by the value a collection rule compares, any group with more than one feature breaks the rule.
+   * Edit sessions keep the index of each rule and update it as features are edited.
+   * @param {Object} rule 
+   * @param {Iterable<Graphic>} features 
+   * @param {string} objectIdField 
+   * @returns {Object} Object with the groups (Map of value to an array of features) and keys (Map of object id to
+   * the value of the feature).
+   */
+  function indexCollectionRule(rule, features, objectIdField) {
+    const index = {groups: new Map(), keys: new Map()};
+    for (const feature of features) {
+      addToCollectionIndex(index, rule, feature, objectIdField);
+    }
+    return index;
+  }
+
+  /**
+   * Adds a feature to the index of a collection rule.
+   * @param {Object} index As returned by indexCollectionRule.
+   * @param {Object} rule 
+   * @param {Graphic} feature 
+   * @param {string} objectIdField 
+   * @returns {string} The value the feature was grouped by, undefined if it has none.
+   */
+  function addToCollectionIndex(index, rule, feature, objectIdField) {
+    const key = getCollectionRuleKey(rule, feature, objectIdField);
+    if (key != undefined) {
+      if (!index.groups.has(key)) {
+        index.groups.set(key, []);
+      }
+      index.groups.get(key).push(feature);
+      index.keys.set(feature.attributes[objectIdField], key);
+    }
+    return key;
+  }
+
+  /**
+   * Removes a feature from the index of a collection rule.
+   * @param {Object} index As returned by indexCollectionRule.
+   * @param {number} id Object id of the feature.
+   * @param {string} objectIdField 
+   * @returns {string} The value the feature was grouped by, undefined if it wasn't in the index.
+   */
+  function removeFromCollectionIndex(index, id, objectIdField) {
+    const key = index.keys.get(id);
+    if (key != undefined) {
+      const group = index.groups.get(key).filter( (feature) => feature.attributes[objectIdField] != id );
+      if (group.length == 0) {
+        index.groups.delete(key);
+      } else {
+        index.groups.set(key, group);
+      }
+      index.keys.delete(id);
+    }
+    return key;
+  }
+
+  /**
+   * Lists the issues of the groups of a collection rule index that have more than one feature.
+   * @param {ProjectFeature} projectFeature 
+   * @param {string} objectIdField 
+   * @param {Object} rule 
+   * @param {Object} index As returned by indexCollectionRule.
+   * @param {Iterable<string>} keys Values of the groups to check.
+   * @returns {Object[]} Validation issues, one for every feature involved.
+   */
+  function getCollectionRuleIssues(projectFeature, objectIdField, rule, index, keys) {
+    const issues = [];
+    for (const key of keys) {
+      const group = index.groups.get(key) || [];
+      if (group.length < 2) {
+        continue;
+      }
+      group.forEach( (feature) => {
+        const others = group.filter( (other) => other != feature ).map( (other) => other.attributes[objectIdField] );
+        let message = `The geometry is the same as feature(s) ${others.join(", ")}`;
+        if (rule.type == "unique") {
+          message = `${rule.field} value "${feature.attributes[rule.field]}" is also used by feature(s) ` +
+            others.join(", ");
+        } else if (rule.type == "unique-id") {
+          message = `Object id ${key} is used by ${group.length} features`;
+        }
+        issues.push(createValidationIssue(projectFeature, objectIdField, feature, rule, message));
+      });
+    }
+    return issues;
+  }
+
+  /**
+   * Checks features of a features file against validation rules. Collection rules, such as unique values, compare
+   * all of the given features and report every feature involved.
+   * @param {ProjectFeature} projectFeature 
+   * @param {Object[]} rules The rules to check.
+   * @param {Graphic[]} features Every feature of the file.
+   * @param {string} objectIdField 
+   * @param {Map} collectionIndexes Optional Map that receives the index of every collection rule.
+   * @returns {Object[]} Validation issues.
+   */
+  async function validateFeatures(projectFeature, rules, features, objectIdField, collectionIndexes = new Map()) {
+    const ruleTypes = getValidationRuleTypes();
+    const issues = [];
+    for (const rule of rules) {
+      if (ruleTypes[rule.type].collection) {
+        try {
+          const index = indexCollectionRule(rule, features, objectIdField);
+          collectionIndexes.set(rule, index);
+          issues.push(...getCollectionRuleIssues(projectFeature, objectIdField, rule, index, index.groups.keys()));
+        } catch (error) {
+          issues.push(createRuleErrorIssue(projectFeature, rule, error));
+        }
+        continue;
+      }
+      for (const feature of features) {
+        let message;
+        try {
+          message = await checkFeatureRule(rule, feature);
+        } catch (error) {
+          message = `The rule could not be checked: ${error.message}`;
+        }
+        if (message) {
+          issues.push(createValidationIssue(projectFeature, objectIdField, feature, rule, message));
+        }
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Validates every feature of a features file, including unsaved edits, and replaces its issues in the validation
+   * report.
+   * @param {ProjectFeature} projectFeature 
+   * @returns {Object[]} The issues found in the file.
+   */
+  async function validateProjectFeature(projectFeature) {
+    const session = editSessions.find( (element) => element.projectFeature == projectFeature );
+    const rules = getValidationRules(projectFeature);
+    const objectIdField = getObjectIdFieldName(projectFeature.fs, projectFeature.object);
+    let issues;
+    if (session) {
+      //Edit sessions keep one feature per object id, so duplicate ids can only be found in the file itself.
+      session.collectionIndexes.clear();
+      issues = [
+        ...await validateFeatures(projectFeature, rules.filter( (rule) => rule.type != "unique-id" ),
+          [...session.features.values()], objectIdField, session.collectionIndexes),
+        ...await validateFeatures(projectFeature, rules.filter( (rule) => rule.type == "unique-id" ),
+          projectFeature.fs.features, objectIdField),
+      ];
+    } else {
+      issues = await validateFeatures(projectFeature, rules, projectFeature.fs.features, objectIdField);
+    }
+    validationIssues = [...validationIssues.filter( (issue) => issue.projectFeature != projectFeature ), ...issues];
+    renderValidationReport();
+    return issues;
+  }
+
+  /**
+   * Validates the features changed by an edit and replaces their issues in the validation report. Collection rules
+   * update the session's index of the rule and only check the groups the changed features left or joined.
+   * @param {EditSession} session 
+   * @param {Graphic[]} changedFeatures Features added or updated by the edit, as they are now.
+   * @param {number[]} changedIds Object ids of every feature the edit added, updated or deleted.
+   */
+  async function validateEdits(session, changedFeatures, changedIds) {
+    const projectFeature = session.projectFeature;
+    const ruleTypes = getValidationRuleTypes();
+    //Duplicate object ids are checked in the file, a session can't hold them.
+    const rules = getValidationRules(projectFeature).filter( (rule) => rule.type != "unique-id" );
+    if (rules.length == 0) {
+      return;
+    }
+    const objectIdField = session.objectIdField;
+    const changed = new Set(changedIds);
+    const issues = await validateFeatures(projectFeature, rules.filter( (rule) => !ruleTypes[rule.type].collection ),
+      changedFeatures, objectIdField);
+
+    //For every collection rule, the ids of the features whose issues are replaced, null to replace all of them.
+    //Issues of the rule itself have no id.
+    const recheckedIds = new Map();
+    rules.filter( (rule) => ruleTypes[rule.type].collection ).forEach( (rule) => {
+      try {
+        issues.push(...validateCollectionEdits(session, rule, changedIds, recheckedIds));
+      } catch (error) {
+        //The index may be half updated, it's built again on the next edit.
+        session.collectionIndexes.delete(rule);
+        recheckedIds.set(rule, null);
+        issues.push(createRuleErrorIssue(projectFeature, rule, error));
+      }
+    });
+
+    validationIssues = [...validationIssues.filter( (issue) => {
+      if (issue.projectFeature != projectFeature) {
+        return true;
+      }
+      if (ruleTypes[issue.rule.type].collection) {
+        return !recheckedIds.has(issue.rule) ||
+          (recheckedIds.get(issue.rule) != null && !recheckedIds.get(issue.rule).has(issue.id));
+      }
+      return !changed.has(issue.id);
+    }), ...issues];
+    renderValidationReport();
+  }
+
+  /**
+   * Updates the session's index of a collection rule for the features changed by an edit, and checks the groups the
+   * features left or joined.
+   * @param {EditSession} session 
+   * @param {Object} rule 
+   * @param {number[]} changedIds Object ids of every feature the edit added, updated or deleted.
+   * @param {Map} recheckedIds Map receiving the ids of the features whose issues are replaced for the rule.
+   * @returns {Object[]} The issues of the checked groups.
+   */
+  function validateCollectionEdits(session, rule, changedIds, recheckedIds) {
+    const objectIdField = session.objectIdField;
+    let index = session.collectionIndexes.get(rule);
+    let keys;
+    if (index) {
+      keys = new Set();
+      changedIds.forEach( (id) => {
+        keys.add(removeFromCollectionIndex(index, id, objectIdField));
+        if (session.features.has(id)) {
+          keys.add(addToCollectionIndex(index, rule, session.features.get(id), objectIdField));
+        }
+      });
+      keys.delete(undefined);
+    } else {
+      index = indexCollectionRule(rule, session.features.values(), objectIdField);
+      session.collectionIndexes.set(rule, index);
+      keys = [...index.groups.keys()];
+    }
+    //Every feature of the checked groups is rechecked, including features now left alone in their group.
+    const ids = new Set([...changedIds, undefined]);
+    keys.forEach( (key) => (index.groups.get(key) || []).forEach( (feature) => {
+      ids.add(feature.attributes[objectIdField]);
+    }));
+    recheckedIds.set(rule, ids);
+    return getCollectionRuleIssues(session.projectFeature, objectIdField, rule, index, keys);
+  }
+
+  /**
+   * Validates a features file before it's written. Depending on the project's validation mode, issues either block
+   * the write or the user is asked whether to write anyway.
+   * @param {ProjectFeature} projectFeature 
+   * @param {Object} object Optional new contents of the file. Without it the file's features and the unsaved edits of
+   * its edit session are checked.
+   * @returns {boolean} True if the file can be written.
+   */
+  async function confirmValidationBeforeSave(projectFeature, object = undefined) {
+    let issues;
+    if (object) {
+      const featureSet = FeatureSet.fromJSON(object);
+      issues = await validateFeatures(projectFeature, getValidationRules(projectFeature), featureSet.features,
+        getObjectIdFieldName(featureSet, object));
+      validationIssues = [...validationIssues.filter( (issue) => issue.projectFeature != projectFeature ), ...issues];
+      renderValidationReport();
+    } else {
+      issues = await validateProjectFeature(projectFeature);
+    }
+    if (issues.length == 0) {
+      return true;
+    }
+    validationWidget.expanded = true;
+    let allowed = false;
+    if (projectDocument.object.validation.mode == "block") {
+      alert(`The changes to ${projectFeature.name} have ${issues.length} validation issue(s), which must be fixed ` +
+        "before they can be saved. They are listed in the validation widget.");
+    } else {
+      allowed = confirm(`The changes to ${projectFeature.name} have ${issues.length} validation issue(s), listed in ` +
+        "the validation widget. Save them anyway?");
+    }
+    //The report goes back to the file as it is when the new contents aren't written.
+    if (object && !allowed) {
+      await validateProjectFeature(projectFeature);
+    }
+    return allowed;
+  }
+
+  /**
+   * Rebuilds the validation report, where every issue can be clicked to zoom to its feature.
+   */
+  function renderValidationReport() {
+    //Forget the issues of features files that have been removed from the project.
+    validationIssues = validationIssues.filter( (issue) => projectFeatures.includes(issue.projectFeature) );
+    const report = document.getElementById("validation-report");
+    if (validationIssues.length == 0) {
+      report.innerText = "No validation issues.";
+      return;
+    }
+    const items = validationIssues.map( (issue) => {
+      const item = document.createElement("li");
+      item.className = "validation-issue";
+      const name = document.createElement("strong");
+      name.innerText = (issue.id == undefined) ? issue.projectFeature.name :
+        `${issue.projectFeature.name} feature ${issue.id}`;
+      item.append(name, `: ${issue.message}`);
+      if (issue.geometry) {
+        item.addEventListener("click", () => view.goTo(issue.geometry));
+      }
+      return item;
+    });
+    const zoomButton = document.createElement("div");
+    zoomButton.className = "esri-button";
+    zoomButton.innerText = "Zoom to All Issues";
+    zoomButton.addEventListener("click", () => {
+      view.goTo(validationIssues.map( (issue) => issue.geometry ).filter( (geometry) => geometry ));
+    });
+    const issueList = document.createElement("ul");
+    issueList.replaceChildren(...items);
+    report.replaceChildren(`${validationIssues.length} issue(s) found:`, issueList, zoomButton);
+  }
+
+  /**
+   * Fills the validation widget with the project's rules and validation mode, and the features files and fields that
+   * rules can be added for.
+   */
+  function renderValidationRules() {
+    const list = document.getElementById("validation-rule-list");
+    const settings = projectDocument ? projectDocument.object.validation : {mode: "warn", rules: []};
+    document.getElementById("validation-mode-select").value = settings.mode;
+
+    const featureSelect = document.getElementById("validation-feature-select");
+    const selectedFeature = featureSelect.value;
+    featureSelect.replaceChildren(new Option("All features files", ""),
+      ...projectFeatures.map( (feature) => new Option(feature.name, feature.name) ));
+    featureSelect.value = projectFeatures.some( (feature) => feature.name == selectedFeature ) ? selectedFeature : "";
+
+    //Suggest the fields of the chosen file, or of every file.
+    const fieldNames = new Set(projectFeatures.filter( (feature) => !featureSelect.value ||
+      feature.name == featureSelect.value ).flatMap( (feature) => feature.fs.fields.map( (field) => field.name ) ));
+    document.getElementById("validation-field-list").replaceChildren(
+      ...[...fieldNames].map( (fieldName) => new Option(fieldName, fieldName) ));
+
+    if (settings.rules.length == 0) {
+      list.innerText = "The project has no validation rules.";
+      return;
+    }
+    const rows = settings.rules.map( (rule, index) => {
+      const row = document.createElement("div");
+      row.className = "edit-session-row";
+      const label = document.createElement("div");
+      label.innerText = describeValidationRule(rule);
+      const removeButton = document.createElement("div");
+      removeButton.className = "esri-button esri-button-grouped";
+      removeButton.innerText = "Remove";
+      removeButton.dataset.writesProject = "";
+      removeButton.addEventListener("click", () => {
+        settings.rules.splice(index, 1);
+        changeValidationRules();
+      });
+      row.replaceChildren(label, removeButton);
+      return row;
+    });
+    list.replaceChildren(...rows);
+  }
+
+  /**
+   * Shows the inputs used by the rule type chosen in the validation widget.
+   */
+  function updateValidationRuleInputs() {
+    const ruleType = getValidationRuleTypes()[document.getElementById("validation-type-select").value];
+    document.getElementById("validation-field-inputs").style.display = ruleType.usesField ? "" : "none";
+    document.getElementById("validation-value-inputs").style.display = ruleType.usesValue ? "" : "none";
+  }
+
+  /**
+   * Adds the rule described by the validation widget to the project. Extent rules use the current map extent.
+   */
+  function addValidationRule() {
+    const status = document.getElementById("validation-status");
+    if (!projectDocument) {
+      status.innerText = "Connect to a project before adding validation rules.";
+      return;
+    }
+    const type = document.getElementById("validation-type-select").value;
+    const ruleType = getValidationRuleTypes()[type];
+    const rule = {type: type, featureSet: document.getElementById("validation-feature-select").value};
+    if (ruleType.usesField) {
+      rule.field = document.getElementById("validation-field-input").value.trim();
+    }
+    if (ruleType.usesValue) {
+      rule.value = document.getElementById("validation-value-input").value.trim();
+    }
+    if (type == "extent") {
+      rule.extent = view.extent.toJSON();
+    }
+    const problem = getValidationRuleProblem(rule);
+    if (problem) {
+      status.innerText = problem;
+      return;
+    }
+    status.innerText = "";
+    projectDocument.object.validation.rules.push(rule);
+    changeValidationRules();
+  }
+
+  /**
+   * Saves changed validation settings to the project document and validates every features file again.
+   */
+  async function changeValidationRules() {
+    renderValidationRules();
+    scheduleProjectDocumentSave();
+    await validateAllFeatures();
+  }
+
+  /**
+   * Validates every features file in the project, including unsaved edits.
+   */
+  async function validateAllFeatures() {
+    validationIssues = [];
+    for (const projectFeature of projectFeatures) {
+      await validateProjectFeature(projectFeature);
+    }
+    renderValidationReport();
+  }
+
+  /**
+   * Fills the analysis widget with the project's layers and the fields of the chosen input layer.
+   */
+  function populateAnalysisOptions() {
+    const layerOptions = () => projectLayers.map( (layer) => new Option(layer.featureLayer.title || layer.name,
+      layer.name) );
+    ["analysis-input-select", "analysis-overlay-select"].forEach( (id) => {
+      const select = document.getElementById(id);
+      const selected = select.value;
+      select.replaceChildren(...layerOptions());
+      if (projectLayers.some( (layer) => layer.name == selected )) {
+        select.value = selected;
+      }
+    });
+    populateAnalysisFields();
+    updateAnalysisInputs();
+  }
+
+  /**
+   * Lists the fields of the analysis input layer that features can be dissolved by.
    */
-  async function createNewLayer() {
-    const layerObject = {
-      featureSet: document.getElementById("layer-feature-select").value,
-      renderer: document.getElementById("layer-renderer-select").value,
-      editingEnabled: (document.getElementById("layer-edit-checkbox").value == "on") ? true : false,
+  function populateAnalysisFields() {
+    const inputLayer = projectLayers.find( (layer) => layer.name ==
+      document.getElementById("analysis-input-select").value );
+    const fields = inputLayer ? inputLayer.featureLayer.fields.filter( (field) => field.type != "oid" ) : [];
+    document.getElementById("analysis-field-select").replaceChildren(
+      ...fields.map( (field) => new Option(field.alias || field.name, field.name) ));
+  }
+
+  /**
+   * Shows the inputs used by the analysis tool chosen in the analysis widget.
+   */
+  function updateAnalysisInputs() {
+    const tool = document.getElementById("analysis-tool-select").value;
+    //Each group of inputs lists the tools it applies to.
+    document.querySelectorAll("#analysis-widget [data-analysis-tools]").forEach( (element) => {
+      element.style.display = element.dataset.analysisTools.split(" ").includes(tool) ? "" : "none";
+    });
+  }
+
+  /**
+   * Runs the tool chosen in the analysis widget and adds the result to the project as a features file with a layer
+   * drawing it. The tools work on the features of the layers, including edits that haven't been saved.
+   */
+  async function runAnalysis() {
+    const status = document.getElementById("analysis-status");
+    const tool = document.getElementById("analysis-tool-select").value;
+    const toolName = document.getElementById("analysis-tool-select").selectedOptions[0].text;
+    const inputLayer = projectLayers.find( (layer) => layer.name ==
+      document.getElementById("analysis-input-select").value );
+    const overlayLayer = projectLayers.find( (layer) => layer.name ==
+      document.getElementById("analysis-overlay-select").value );
+    if (!inputLayer || (["clip", "intersect", "select", "join"].includes(tool) && !overlayLayer)) {
+      status.innerText = "Choose the layers to analyse.";
+      return;
+    }
+
+    const fileName = toJSONFileName(document.getElementById("analysis-name-input").value ||
+      `${inputLayer.name.replace(/\.json$/i, "")} ${toolName.toLowerCase()}`);
+    const existingPaths = ["Features", "Layers"].map( (directoryName) => `${directoryName}/${fileName}` )
+      .filter( (path) => findProjectFile(path) );
+    if (existingPaths.length > 0) {
+      status.innerText = `${existingPaths.join(" and ")} already exists, choose another name.`;
+      return;
+    }
+
+    status.innerText = `Running ${toolName.toLowerCase()}...`;
+    let inputFS;
+    let spatialReference;
+    let overlayFeatures = [];
+    try {
+      inputFS = await queryAllFeatures(inputLayer.featureLayer);
+      spatialReference = inputFS.spatialReference || inputLayer.featureLayer.spatialReference;
+      if (overlayLayer && tool != "buffer" && tool != "dissolve") {
+        overlayFeatures = (await queryAllFeatures(overlayLayer.featureLayer)).features
+          .filter( (feature) => feature.geometry );
+        //The geometry engine only compares geometries in the same spatial reference.
+        await projection.load();
+        overlayFeatures.forEach( (feature) => {
+          feature.geometry = projection.project(feature.geometry, spatialReference);
+        });
+      }
+    } catch (error) {
+      status.innerText = `The features of the layers could not be read: ${error.message}`;
+      return;
+    }
+    const features = inputFS.features.filter( (feature) => feature.geometry );
+
+    const inputFields = inputLayer.featureLayer.fields.filter( (field) => field.type != "oid" );
+    const overlayFields = overlayLayer ? overlayLayer.featureLayer.fields.filter( (field) => field.type != "oid" ) :
+      [];
+    let result;
+    try {
+      switch (tool) {
+        case "buffer":
+          result = bufferFeatures(features, inputFields,
+            Number(document.getElementById("analysis-distance-input").value),
+            document.getElementById("analysis-unit-select").value);
+          break;
+        case "clip":
+          result = clipFeatures(features, inputFields, overlayFeatures);
+          break;
+        case "intersect":
+          result = intersectFeatures(features, inputFields, overlayFeatures, overlayFields);
+          break;
+        case "select":
+          result = selectFeaturesByLocation(features, inputFields, overlayFeatures,
+            document.getElementById("analysis-relationship-select").value);
+          break;
+        case "join":
+          result = spatialJoinFeatures(features, inputFields, overlayFeatures, overlayFields);
+          break;
+        case "dissolve":
+          result = dissolveFeatures(features, inputFields.find( (field) => field.name ==
+            document.getElementById("analysis-field-select").value ));
+          break;
+      }
+    } catch (error) {
+      status.innerText = `The ${toolName.toLowerCase()} failed: ${error.message}`;
+      return;
+    }
+    if (result.features.length == 0) {
+      status.innerText = `The ${toolName.toLowerCase()} produced no features, nothing was added to the project.`;
+      return;
+    }
+
+    //Write the result and a layer drawing it into the project.
+    const featureHandle = projectStorage.getFileHandle("Features", fileName);
+    let newFeature;
+    try {
+      await writeJSONToHandle(featureHandle, buildAnalysisFeatureSetJSON(result, spatialReference));
+      newFeature = await ProjectFeature.create(featureHandle);
+    } catch (error) {
+      status.innerText = `The ${toolName.toLowerCase()} result could not be added as Features/${fileName}: ` +
+        error.message;
+      return;
+    }
+    projectDependencies.set(newFeature.path, []);
+    populateAnalysisOptions();
+
+    const layerObject = {featureSet: fileName, title: fileName.replace(/\.json$/i, ""), editingEnabled: true};
+    const layerHandle = projectStorage.getFileHandle("Layers", fileName);
+    let newLayer;
+    try {
+      await writeJSONToHandle(layerHandle, layerObject);
+      newLayer = await ProjectLayer.create(layerHandle);
+    } catch (error) {
+      status.innerText = `Added ${result.features.length} features to the project as ${newFeature.path}, but the ` +
+        `layer drawing them could not be added: ${error.message}`;
+      return;
+    }
+    projectDependencies.set(newLayer.path, getFileReferences("Layers", layerObject));
+    status.innerText = `Added ${result.features.length} features to the project as ${newFeature.path}.`;
+    populateAnalysisOptions();
+    view.goTo(newLayer.sourceFS.features);
+  }
+
+  /**
+   * Turns the result of an analysis tool into FeatureSet JSON, numbering the features with a new object id field.
+   * @param {Object} result Object with the output fields (ESRI Field objects) and features (objects with geometry and
+   * attributes).
+   * @param {SpatialReference} spatialReference 
+   * @returns {Object} FeatureSet JSON.
+   */
+  function buildAnalysisFeatureSetJSON(result, spatialReference) {
+    const geometryTypes = {point: "esriGeometryPoint", multipoint: "esriGeometryMultipoint",
+      polyline: "esriGeometryPolyline", polygon: "esriGeometryPolygon"};
+    const fieldNames = result.fields.map( (field) => field.name );
+    const objectIdFieldName = getUniqueFieldName("OBJECTID", fieldNames);
+    //Points merged by a tool become multipoints, then single points have to be stored as multipoints as well.
+    const multipoint = result.features.some( (feature) => feature.geometry.type == "multipoint" );
+    return {
+      objectIdFieldName: objectIdFieldName,
+      geometryType: multipoint ? "esriGeometryMultipoint" : geometryTypes[result.features[0].geometry.type],
+      spatialReference: spatialReference.toJSON(),
+      fields: [{name: objectIdFieldName, alias: objectIdFieldName, type: "esriFieldTypeOID"},
+        ...result.fields.map( (field) => field.toJSON() )],
+      features: result.features.map( (feature, index) => {
+        let geometry = feature.geometry.toJSON();
+        delete geometry.spatialReference;
+        if (multipoint && geometry.x != undefined) {
+          geometry = {points: [[geometry.x, geometry.y]]};
+        }
+        return {geometry: geometry,
+          attributes: Object.assign({}, feature.attributes, {[objectIdFieldName]: index + 1})};
+      }),
     };
+  }
 
-    //Ask the user where to save, start them in the current project layers directory if possible.
-    const newLayerHandle = await saveAsJSON(layerObject, projectLayersDirectoryHandle);
+  /**
+   * Returns a field name that isn't used yet, adding a number to the name if needed.
+   * @param {string} name 
+   * @param {string[]} usedNames 
+   * @returns {string}
+   */
+  function getUniqueFieldName(name, usedNames) {
+    const used = usedNames.map( (usedName) => usedName.toLowerCase() );
+    let uniqueName = name;
+    for (let number = 1; used.includes(uniqueName.toLowerCase()); number++) {
+      uniqueName = `${name}_${number}`;
+    }
+    return uniqueName;
+  }
 
-    const newLayer = await ProjectLayer.create(newLayerHandle);
-    if (newLayer.featureLayer.sourceFS) {
-      view.goTo(newLayer.featureLayer.sourceFS.features);
+  /**
+   * Adds the fields of a joined layer to the fields of an input layer, renaming joined fields whose names are taken.
+   * @param {Field[]} inputFields 
+   * @param {Field[]} joinFields 
+   * @returns {Object} Object with the combined fields and a Map from each joined field name to its output name.
+   */
+  function combineAnalysisFields(inputFields, joinFields) {
+    const names = inputFields.map( (field) => field.name );
+    const joinNames = new Map();
+    const renamedFields = joinFields.map( (field) => {
+      const name = getUniqueFieldName(field.name, names);
+      names.push(name);
+      joinNames.set(field.name, name);
+      const renamed = field.clone();
+      renamed.name = name;
+      return renamed;
+    });
+    return {fields: [...inputFields, ...renamedFields], joinNames: joinNames};
+  }
+
+  /**
+   * Copies the attributes of a feature that belong to the given fields, renaming them if a name map is given.
+   * @param {Graphic} feature 
+   * @param {Field[]} fields 
+   * @param {Map} names Optional map of field name to output name.
+   * @returns {Object}
+   */
+  function copyAnalysisAttributes(feature, fields, names = undefined) {
+    const attributes = {};
+    fields.forEach( (field) => {
+      attributes[names ? names.get(field.name) : field.name] = feature.attributes[field.name];
+    });
+    return attributes;
+  }
+
+  /**
+   * Quick check whether the extents of two geometries overlap, done before the slower geometry engine checks.
+   * @param {Geometry} a 
+   * @param {Geometry} b 
+   * @returns {boolean}
+   */
+  function extentsOverlap(a, b) {
+    if (!a.extent) {
+      return !b.extent || b.extent.intersects(a);
     }
-    document.getElementById("create-layer-modal").style.display = "none";
+    return a.extent.intersects(b.extent || b);
+  }
+
+  /**
+   * Whether a geometry returned by the geometry engine is missing or holds no coordinates.
+   * @param {Geometry} geometry 
+   * @returns {boolean}
+   */
+  function isEmptyGeometry(geometry) {
+    if (!geometry) {
+      return true;
+    }
+    switch (geometry.type) {
+      case "point":
+        return geometry.x == null;
+      case "multipoint":
+        return geometry.points.length == 0;
+      case "polyline":
+        return geometry.paths.length == 0;
+      case "polygon":
+        return geometry.rings.length == 0;
+    }
+    return false;
+  }
+
+  /**
+   * Buffers every feature by a distance, measured on the earth for geographic and web mercator data.
+   * @param {Graphic[]} features 
+   * @param {Field[]} fields Fields of the features to keep.
+   * @param {number} distance 
+   * @param {string} unit Linear unit understood by the geometry engine, such as meters.
+   * @returns {Object} Object with the output fields and features.
+   */
+  function bufferFeatures(features, fields, distance, unit) {
+    if (!(distance > 0)) {
+      throw new Error("the distance must be more than 0");
+    }
+    const spatialReference = features.length > 0 ? features[0].geometry.spatialReference : undefined;
+    const geodesic = spatialReference && (spatialReference.isGeographic || spatialReference.isWebMercator);
+    return {
+      fields: fields,
+      features: features.map( (feature) => ({
+        geometry: geodesic ? geometryEngine.geodesicBuffer(feature.geometry, distance, unit) :
+          geometryEngine.buffer(feature.geometry, distance, unit),
+        attributes: copyAnalysisAttributes(feature, fields),
+      })),
+    };
+  }
+
+  /**
+   * Cuts the features to the area of the overlay features, leaving out the features outside of it.
+   * @param {Graphic[]} features 
+   * @param {Field[]} fields Fields of the features to keep.
+   * @param {Graphic[]} overlayFeatures Polygon features to clip to.
+   * @returns {Object} Object with the output fields and features.
+   */
+  function clipFeatures(features, fields, overlayFeatures) {
+    if (overlayFeatures.some( (feature) => feature.geometry.type != "polygon" )) {
+      throw new Error("features can only be clipped to polygons");
+    }
+    const clipArea = geometryEngine.union(overlayFeatures.map( (feature) => feature.geometry ));
+    const clipped = [];
+    features.forEach( (feature) => {
+      if (!clipArea || !extentsOverlap(feature.geometry, clipArea)) {
+        return;
+      }
+      const geometry = geometryEngine.intersect(feature.geometry, clipArea);
+      if (!isEmptyGeometry(geometry)) {
+        clipped.push({geometry: geometry, attributes: copyAnalysisAttributes(feature, fields)});
+      }
+    });
+    return {fields: fields, features: clipped};
+  }
+
+  /**
+   * Creates a feature for every overlapping pair of input and overlay features, holding the part they share and the
+   * attributes of both.
+   * @param {Graphic[]} features 
+   * @param {Field[]} fields Fields of the input features.
+   * @param {Graphic[]} overlayFeatures 
+   * @param {Field[]} overlayFields Fields of the overlay features.
+   * @returns {Object} Object with the output fields and features.
+   */
+  function intersectFeatures(features, fields, overlayFeatures, overlayFields) {
+    const {fields: outputFields, joinNames} = combineAnalysisFields(fields, overlayFields);
+    const intersections = [];
+    features.forEach( (feature) => {
+      overlayFeatures.forEach( (overlayFeature) => {
+        if (!extentsOverlap(feature.geometry, overlayFeature.geometry)) {
+          return;
+        }
+        const geometry = geometryEngine.intersect(feature.geometry, overlayFeature.geometry);
+        if (!isEmptyGeometry(geometry)) {
+          intersections.push({geometry: geometry, attributes: Object.assign(copyAnalysisAttributes(feature, fields),
+            copyAnalysisAttributes(overlayFeature, overlayFields, joinNames))});
+        }
+      });
+    });
+    //The result has the type of the input with the fewest dimensions, which is the same for every pair.
+    const type = intersections.length > 0 ? intersections[0].geometry.type : undefined;
+    return {fields: outputFields, features: intersections.filter( (feature) => feature.geometry.type == type )};
+  }
+
+  /**
+   * Copies the features that have a spatial relationship with any of the overlay features.
+   * @param {Graphic[]} features 
+   * @param {Field[]} fields Fields of the features to keep.
+   * @param {Graphic[]} overlayFeatures 
+   * @param {string} relationship intersects, within, contains or disjoint (doesn't intersect any overlay feature).
+   * @returns {Object} Object with the output fields and features.
+   */
+  function selectFeaturesByLocation(features, fields, overlayFeatures, relationship) {
+    const relates = (geometry, overlayGeometry) => {
+      if (!extentsOverlap(geometry, overlayGeometry)) {
+        return false;
+      }
+      switch (relationship) {
+        case "within":
+          return geometryEngine.within(geometry, overlayGeometry);
+        case "contains":
+          return geometryEngine.contains(geometry, overlayGeometry);
+        default:
+          return geometryEngine.intersects(geometry, overlayGeometry);
+      }
+    };
+    const selected = features.filter( (feature) => {
+      const related = overlayFeatures.some( (overlayFeature) => relates(feature.geometry, overlayFeature.geometry) );
+      return (relationship == "disjoint") ? !related : related;
+    });
+    return {
+      fields: fields,
+      features: selected.map( (feature) => ({geometry: feature.geometry.clone(),
+        attributes: copyAnalysisAttributes(feature, fields)}) ),
+    };
+  }
+
+  /**
+   * Adds the attributes of the first overlay feature intersecting each input feature, along with the number of overlay
+   * features intersecting it. Every input feature is kept, those without a match get empty joined attributes.
+   * @param {Graphic[]} features 
+   * @param {Field[]} fields Fields of the input features.
+   * @param {Graphic[]} overlayFeatures 
+   * @param {Field[]} overlayFields Fields of the overlay features.
+   * @returns {Object} Object with the output fields and features.
+   */
+  function spatialJoinFeatures(features, fields, overlayFeatures, overlayFields) {
+    const {fields: combinedFields, joinNames} = combineAnalysisFields(fields, overlayFields);
+    const countField = new Field({name: getUniqueFieldName("Join_Count", combinedFields.map( (field) => field.name )),
+      alias: "Join Count", type: "integer"});
+    const joined = features.map( (feature) => {
+      const matches = overlayFeatures.filter( (overlayFeature) =>
+        extentsOverlap(feature.geometry, overlayFeature.geometry) &&
+        geometryEngine.intersects(feature.geometry, overlayFeature.geometry) );
+      const joinedAttributes = {};
+      overlayFields.forEach( (field) => {
+        joinedAttributes[joinNames.get(field.name)] = matches.length > 0 ? matches[0].attributes[field.name] : null;
+      });
+      return {
+        geometry: feature.geometry.clone(),
+        attributes: Object.assign(copyAnalysisAttributes(feature, fields), joinedAttributes,
+          {[countField.name]: matches.length}),
+      };
+    });
+    return {fields: [...combinedFields, countField], features: joined};
+  }
+
+  /**
+   * Merges the geometries of features sharing a value of a field into one feature per value, counting the features
+   * merged into each.
+   * @param {Graphic[]} features 
+   * @param {Field} field Field to dissolve by.
+   * @returns {Object} Object with the output fields and features.
+   */
+  function dissolveFeatures(features, field) {
+    if (!field) {
+      throw new Error("choose the field to dissolve by");
+    }
+    const groups = new Map();
+    features.forEach( (feature) => {
+      const value = feature.attributes[field.name];
+      groups.set(value, [...(groups.get(value) || []), feature]);
+    });
+    const countField = new Field({name: getUniqueFieldName("Count", [field.name]), alias: "Count",
+      type: "integer"});
+    const dissolved = [...groups.entries()].map( ([value, group]) => ({
+      geometry: geometryEngine.union(group.map( (feature) => feature.geometry )),
+      attributes: {[field.name]: value, [countField.name]: group.length},
+    }));
+    return {fields: [field, countField], features: dissolved.filter( (feature) => !isEmptyGeometry(feature.geometry) )};
+  }
+
+  /**
+   * Builds the name of an attachment file. Attachments are kept in the Attachments directory named
+   * {features file}~{object id}~{file name}, which links them to a feature of a features file by its object id. A ~
+   * in the name of the features file is written as %7E and a % as %25, so the name can be split again.
+   * @param {string} featureName File name of the features file.
+   * @param {number} objectId Object id of the feature in the features file.
+   * @param {string} fileName Name of the attached file.
+   * @returns {string}
+   */
+  function getAttachmentName(featureName, objectId, fileName) {
+    const escapedName = featureName.replace(/%/g, "%25").replace(/~/g, "%7E");
+    return `${escapedName}~${objectId}~${fileName}`;
+  }
+
+  /**
+   * Splits the name of a file in the Attachments directory into the features file, object id and file name.
+   * @param {string} attachmentName 
+   * @returns {Object} Object with the featureName, objectId, fileName and attachmentName, or undefined for other files.
+   */
+  function parseAttachmentName(attachmentName) {
+    const match = attachmentName.match(/^([^~]+)~(-?\d+)~(.+)$/);
+    if (!match) {
+      return undefined;
+    }
+    const featureName = match[1].replace(/%(25|7E)/g, (escape, code) => (code == "25") ? "%" : "~");
+    return {featureName: featureName, objectId: Number(match[2]), fileName: match[3], attachmentName: attachmentName};
+  }
+
+  /**
+   * Lists the attachments of features in a features file.
+   * @param {string} featureName File name of the features file.
+   * @param {number[]} objectIds Optional object ids of the features, every feature of the file if left out.
+   * @returns {Object[]} Attachments as returned by parseAttachmentName, sorted by file name.
+   */
+  async function listAttachments(featureName, objectIds = undefined) {
+    const entries = await projectStorage.listFiles("Attachments");
+    return entries.map( (entry) => parseAttachmentName(entry.name) )
+      .filter( (attachment) => attachment && attachment.featureName == featureName &&
+        (!objectIds || objectIds.includes(attachment.objectId)) )
+      .sort( (a, b) => a.fileName.localeCompare(b.fileName) );
+  }
+
+  /**
+   * Deletes the attachments of features, used when the features are deleted from their features file.
+   * @param {string} featureName File name of the features file.
+   * @param {number[]} objectIds 
+   */
+  async function removeAttachments(featureName, objectIds) {
+    if (objectIds.length == 0) {
+      return;
+    }
+    for (const attachment of await listAttachments(featureName, objectIds)) {
+      await projectStorage.removeFile("Attachments", attachment.attachmentName);
+    }
+  }
+
+  /**
+   * Gives attachments the new object ids of their features. Every moved attachment is read before any is written, so
+   * features can swap ids.
+   * @param {string} featureName File name of the features file.
+   * @param {Map} movedIds Map of the previous object id of a feature to its new one.
+   */
+  async function moveAttachments(featureName, movedIds) {
+    const moved = [];
+    for (const attachment of await listAttachments(featureName, [...movedIds.keys()])) {
+      //Files of local folders can't be read once they are removed, so the contents are copied.
+      const blob = await projectStorage.readBlob("Attachments", attachment.attachmentName);
+      moved.push({attachment: attachment, data: await blob.arrayBuffer()});
+    }
+    for (const {attachment} of moved) {
+      await projectStorage.removeFile("Attachments", attachment.attachmentName);
+    }
+    for (const {attachment, data} of moved) {
+      await projectStorage.writeFile("Attachments",
+        getAttachmentName(featureName, movedIds.get(attachment.objectId), attachment.fileName), new Blob([data]));
+    }
+  }
+
+  /**
+   * Finds the object id a feature of a layer has in its features file. Features added with the editor can have a
+   * different id in the layer than in the file.
+   * @param {ProjectLayer} projectLayer 
+   * @param {Graphic} feature 
+   * @returns {number}
+   */
+  function getFileObjectId(projectLayer, feature) {
+    const layerId = feature.attributes[projectLayer.featureLayer.objectIdField];
+    const state = projectLayer.editSession ? projectLayer.editSession.layerStates.get(projectLayer) : undefined;
+    return state ? state.toSession.get(layerId) : layerId;
+  }
+
+  /**
+   * Opens the attachments window for the feature selected in the popup.
+   */
+  async function openPopupAttachments() {
+    const feature = view.popup.selectedFeature;
+    const projectLayer = feature ? projectLayers.find( (layer) => layer.featureLayer == feature.layer ) : undefined;
+    if (!projectLayer || !projectLayer.sourceFeature) {
+      return;
+    }
+    attachmentState = {projectFeature: projectLayer.sourceFeature,
+      objectId: getFileObjectId(projectLayer, feature), objectUrls: []};
+    document.getElementById("attachment-feature-name").innerText =
+      `${projectLayer.sourceFeature.name} feature ${attachmentState.objectId}`;
+    document.getElementById("attachment-modal").style.display = "block";
+    await renderAttachments();
+  }
+
+  /**
+   * Closes the attachments window and releases the previews of its images.
+   */
+  function closeAttachmentsModal() {
+    document.getElementById("attachment-modal").style.display = "none";
+    if (attachmentState) {
+      attachmentState.objectUrls.forEach( (url) => URL.revokeObjectURL(url) );
+    }
+    attachmentState = undefined;
+  }
+
+  /**
+   * Rebuilds the list of attachments of the feature shown in the attachments window, with previews of images.
+   */
+  async function renderAttachments() {
+    const list = document.getElementById("attachment-list");
+    const {projectFeature, objectId} = attachmentState;
+    const attachments = await listAttachments(projectFeature.name, [objectId]);
+    if (attachments.length == 0) {
+      list.innerText = "The feature has no attachments.";
+      return;
+    }
+    const rows = [];
+    for (const attachment of attachments) {
+      const row = document.createElement("div");
+      row.className = "edit-session-row";
+      const label = document.createElement("div");
+      label.innerText = attachment.fileName;
+      row.appendChild(label);
+
+      if (/\.(png|jpe?g|gif|webp|bmp|svg)$/i.test(attachment.fileName)) {
+        const blob = await projectStorage.readBlob("Attachments", attachment.attachmentName);
+        const image = document.createElement("img");
+        image.className = "attachment-preview";
+        image.src = URL.createObjectURL(blob);
+        attachmentState.objectUrls.push(image.src);
+        row.appendChild(image);
+      }
+
+      const actions = [
+        ["View", () => viewAttachment(attachment), false],
+        ["Download", () => downloadAttachment(attachment), false],
+        ["Delete", () => deleteAttachment(attachment), true],
+      ];
+      actions.forEach( ([text, action, writes]) => {
+        const button = document.createElement("div");
+        button.className = "esri-button esri-button-grouped";
+        button.innerText = text;
+        if (writes) {
+          button.dataset.writesProject = "";
+        }
+        button.addEventListener("click", action);
+        row.appendChild(button);
+      });
+      rows.push(row);
+    }
+    list.replaceChildren(...rows);
+  }
+
+  /**
+   * Lets the user pick files to attach to the feature shown in the attachments window. A file with the same name as an
+   * existing attachment of the feature gets a number added to its name.
+   */
+  async function addAttachment() {
+    const {projectFeature, objectId} = attachmentState;
+    const inputFile = await pickFile();
+    const existingNames = (await listAttachments(projectFeature.name, [objectId]))
+      .map( (attachment) => attachment.fileName );
+    let fileName = inputFile.name.replace(/~/g, "-");
+    for (let number = 1; existingNames.includes(fileName); number++) {
+      fileName = inputFile.name.replace(/~/g, "-").replace(/(\.[^.]*)?$/, `_${number}$1`);
+    }
+    await projectStorage.ensureDirectory("Attachments");
+    await projectStorage.writeFile("Attachments", getAttachmentName(projectFeature.name, objectId, fileName),
+      inputFile);
+    await renderAttachments();
+  }
+
+  /**
+   * Opens an attachment in a new browser tab.
+   * @param {Object} attachment Attachment as listed by listAttachments.
+   */
+  async function viewAttachment(attachment) {
+    const blob = await projectStorage.readBlob("Attachments", attachment.attachmentName);
+    const url = URL.createObjectURL(blob);
+    window.open(url, "_blank");
+    attachmentState.objectUrls.push(url);
+  }
+
+  /**
+   * Saves a copy of an attachment outside of the project.
+   * @param {Object} attachment Attachment as listed by listAttachments.
+   */
+  async function downloadAttachment(attachment) {
+    downloadFile(await projectStorage.readBlob("Attachments", attachment.attachmentName), attachment.fileName);
+  }
+
+  /**
+   * Deletes an attachment after asking the user.
+   * @param {Object} attachment Attachment as listed by listAttachments.
+   */
+  async function deleteAttachment(attachment) {
+    if (!confirm(`Delete ${attachment.fileName}? Attachments are not kept in the file history.`)) {
+      return;
+    }
+    await projectStorage.removeFile("Attachments", attachment.attachmentName);
+    await renderAttachments();
   }
 
-  const map = new Map({
+  const map = new EsriMap({
     basemap: "osm"
   });
 
@@ -520,7 +6869,91 @@ require(
     group: "bottom-left"
   });
 
-  view.ui.add([connectFolderWidget, addFilesWidget, downloadWidget, layerManagementWidget], "bottom-left");
+  const exportWidget = new Expand({
+    view: view,
+    content: document.getElementById("export-widget"),
+    expandIconClass: "esri-icon-share",
+    expandTooltip: "Export Features",
+    group: "bottom-left"
+  });
+
+  //Refresh the list of exportable features whenever the widget is opened.
+  exportWidget.watch("expanded", (expanded) => {
+    if (expanded) {
+      populateExportOptions();
+    }
+  });
+
+  const symbolGalleryWidget = new Expand({
+    view: view,
+    content: document.getElementById("symbol-gallery-widget"),
+    expandIconClass: "esri-icon-collection",
+    expandTooltip: "Symbol Gallery",
+    group: "bottom-left"
+  });
+
+  //Refresh the gallery whenever the widget is opened.
+  symbolGalleryWidget.watch("expanded", (expanded) => {
+    if (expanded) {
+      populateSymbolGallery();
+    }
+  });
+
+  const syncWidget = new Expand({
+    view: view,
+    content: document.getElementById("sync-widget"),
+    expandIconClass: "esri-icon-refresh",
+    expandTooltip: "Sync With Feature Services",
+    group: "bottom-left"
+  });
+
+  //Refresh the list of downloaded features and their changes whenever the widget is opened.
+  syncWidget.watch("expanded", (expanded) => {
+    if (expanded) {
+      populateSyncList();
+    }
+  });
+
+  const historyWidget = new Expand({
+    view: view,
+    content: document.getElementById("history-widget"),
+    expandIconClass: "esri-icon-time-clock",
+    expandTooltip: "File History",
+    group: "bottom-left"
+  });
+
+  //Refresh the list of files with recorded versions whenever the widget is opened.
+  historyWidget.watch("expanded", (expanded) => {
+    if (expanded && projectStorage) {
+      populateHistoryFiles();
+    }
+  });
+
+  const problemsWidget = new Expand({
+    view: view,
+    content: document.getElementById("problems-widget"),
+    expandIconClass: "esri-icon-notice-triangle",
+    expandTooltip: "Project Problems",
+    group: "bottom-left"
+  });
+
+  const validationWidget = new Expand({
+    view: view,
+    content: document.getElementById("validation-widget"),
+    expandIconClass: "esri-icon-check-mark",
+    expandTooltip: "Validation Rules",
+    group: "bottom-left"
+  });
+
+  //Refresh the files and fields rules can be added for whenever the widget is opened.
+  validationWidget.watch("expanded", (expanded) => {
+    if (expanded) {
+      renderValidationRules();
+    }
+  });
+
+  view.ui.add([connectFolderWidget, addFilesWidget, downloadWidget, layerManagementWidget, exportWidget,
+    symbolGalleryWidget, syncWidget, historyWidget, validationWidget, problemsWidget], "bottom-left");
 
   const editorWidget = new Editor({
     view: view,
@@ -536,18 +6969,207 @@ require(
 
   view.ui.add(editorExpand, "top-right");
 
+  const editSessionExpand = new Expand({
+    view: view,
+    content: document.getElementById("edit-session-widget"),
+    expandIconClass: "esri-icon-save",
+    expandTooltip: "Save or Discard Edits",
+    group: "top-right"
+  });
+
+  view.ui.add(editSessionExpand, "top-right");
+
+  const layerList = new LayerList({
+    view: view,
+    container: document.getElementById("layer-list-container"),
+    //Enables reordering layers by dragging them (selectionEnabled in older versions of the API).
+    selectionEnabled: true,
+    dragEnabled: true,
+    listItemCreatedFunction: (event) => {
+      const item = event.item;
+      item.actionsSections = (item.layer.type == "group") ?
+        [[
+          {title: "Rename group", className: "esri-icon-edit", id: "rename-group"},
+          {title: "Ungroup", className: "esri-icon-minus-circled", id: "ungroup"},
+        ]] :
+        [[
+          {title: "Move to group", className: "esri-icon-layers", id: "move-to-group"},
+          {title: "Attribute table", className: "esri-icon-table", id: "open-table"},
+        ]];
+      updateLayerListWarning(item);
+    }
+  });
+  layerList.on("trigger-action", handleLayerListAction);
+
+  const layerListExpand = new Expand({
+    view: view,
+    content: document.getElementById("layer-list-widget"),
+    expandIconClass: "esri-icon-layer-list",
+    expandTooltip: "Layer List",
+    group: "top-right"
+  });
+
+  view.ui.add(layerListExpand, "top-right");
+
+  const analysisExpand = new Expand({
+    view: view,
+    content: document.getElementById("analysis-widget"),
+    expandIconClass: "esri-icon-globe",
+    expandTooltip: "Analysis",
+    group: "top-right"
+  });
+
+  //Refresh the layers that can be analysed whenever the widget is opened.
+  analysisExpand.watch("expanded", (expanded) => {
+    if (expanded) {
+      populateAnalysisOptions();
+    }
+  });
+
+  view.ui.add(analysisExpand, "top-right");
+
+  //Record changes to layer order, grouping and visibility, and the current view, in the project document.
+  const watchedLayers = new WeakSet();
+  map.allLayers.on("change", (event) => {
+    event.added.forEach( (layer) => {
+      if (!watchedLayers.has(layer)) {
+        watchedLayers.add(layer);
+        layer.watch("visible", scheduleProjectDocumentSave);
+      }
+    });
+    scheduleProjectDocumentSave();
+  });
+  view.watch("stationary", (stationary) => {
+    if (stationary) {
+      scheduleProjectDocumentSave();
+    }
+  });
+
   view.ui.add(document.getElementById("create-layer-modal"), "manual");
+  view.ui.add(document.getElementById("csv-import-modal"), "manual");
+  view.ui.add(document.getElementById("renderer-builder-modal"), "manual");
+  view.ui.add(document.getElementById("symbol-editor-modal"), "manual");
+  view.ui.add(document.getElementById("sync-conflict-modal"), "manual");
+  view.ui.add(document.getElementById("attribute-table-panel"), "manual");
+  view.ui.add(document.getElementById("schema-editor-modal"), "manual");
+  view.ui.add(document.getElementById("attachment-modal"), "manual");
+
+  //Client side feature layers can't store attachments themselves, so the popup gets an action opening the project's
+  //attachments of the feature. Layers without a popup template get the default one so every feature has a popup.
+  view.popup.defaultPopupTemplateEnabled = true;
+  view.popup.actions.push({title: "Attachments", id: "feature-attachments", className: "esri-icon-attachment"});
+  view.popup.on("trigger-action", (event) => {
+    if (event.action.id == "feature-attachments") {
+      openPopupAttachments();
+    }
+  });
+
+  //Clicking a feature of the layer shown in the attribute table selects it in the table.
+  view.on("click", selectAttributeRowFromMap);
+
+  //Local folders can only be connected in browsers supporting the File System Access API.
+  if (!window.showDirectoryPicker) {
+    document.getElementById("connect-folder-button").style.display = "none";
+    document.querySelector("#zip-target-select option[value=folder]").remove();
+  }
 
   //Attach event listeners connecting buttons to their functions.
   document.getElementById("connect-folder-button").addEventListener("click", connectProjectFolder);
+  document.getElementById("browser-project-button").addEventListener("click", openBrowserProject);
+  document.getElementById("open-zip-button").addEventListener("click", openProjectFromZip);
+  document.getElementById("validation-type-select").addEventListener("change", updateValidationRuleInputs);
+  document.getElementById("analysis-tool-select").addEventListener("change", updateAnalysisInputs);
+  document.getElementById("analysis-input-select").addEventListener("change", populateAnalysisFields);
+  document.getElementById("run-analysis-button").addEventListener("click", runAnalysis);
+  document.getElementById("validation-feature-select").addEventListener("change", renderValidationRules);
+  document.getElementById("add-validation-rule-button").addEventListener("click", addValidationRule);
+  document.getElementById("validate-features-button").addEventListener("click", validateAllFeatures);
+  document.getElementById("validation-mode-select").addEventListener("change", (event) => {
+    if (projectDocument) {
+      projectDocument.object.validation.mode = event.target.value;
+      scheduleProjectDocumentSave();
+    }
+  });
+  document.getElementById("export-project-button").addEventListener("click", exportProjectAsZip);
   document.getElementById("add-feature-button").addEventListener("click", () => addFileToProject("feature"));
+  document.getElementById("add-csv-button").addEventListener("click", openCSVImportModal);
   document.getElementById("add-symbol-button").addEventListener("click", () => addFileToProject("symbol"));
   document.getElementById("add-renderer-button").addEventListener("click",() => addFileToProject("renderer") );
+  document.getElementById("add-popup-button").addEventListener("click",() => addFileToProject("popup") );
   document.getElementById("add-layer-button").addEventListener("click",() => addFileToProject("layer") );
   document.getElementById("download-layer-button").addEventListener("click", downloadFeatureAsJSON);
+  document.getElementById("export-geojson-button").addEventListener("click", exportAsGeoJSON);
   document.getElementById("create-layer-button").addEventListener("click", openCreateLayerModal);
   document.getElementById("save-layer-button").addEventListener("click",createNewLayer);
+  document.getElementById("layer-feature-select").addEventListener("change", populateLayerFieldOptions);
+  document.getElementById("new-group-button").addEventListener("click", createLayerGroup);
+  document.getElementById("basemap-select").addEventListener("change", (event) => {
+    map.basemap = event.target.value;
+    scheduleProjectDocumentSave();
+  });
+  document.getElementById("project-wkid-input").addEventListener("change", () => {
+    scheduleProjectDocumentSave();
+    if (projectDocument) {
+      projectDocument.captureFromMap();
+    }
+    refreshLayerListWarnings();
+  });
   document.getElementById("layer-modal-x").addEventListener("click", () => {
     document.getElementById("create-layer-modal").style.display = "none";}); //Close the window if X is pressed
+  document.getElementById("build-renderer-button").addEventListener("click", openRendererBuilderModal);
+  document.getElementById("renderer-feature-select").addEventListener("change", populateRendererBuilderFields);
+  document.getElementById("renderer-type-select").addEventListener("change", populateRendererBuilderFields);
+  ["renderer-field-select", "renderer-method-select", "renderer-count-input"].forEach( (id) => {
+    document.getElementById(id).addEventListener("change", renderRendererClasses);
+  });
+  ["renderer-start-color", "renderer-end-color"].forEach( (id) => {
+    document.getElementById(id).addEventListener("input", updateRendererPreview);
+  });
+  document.getElementById("save-renderer-button").addEventListener("click", saveBuiltRenderer);
+  document.getElementById("renderer-modal-x").addEventListener("click", closeRendererBuilderModal);
+  document.getElementById("new-symbol-button").addEventListener("click", () => openSymbolEditor());
+  document.getElementById("symbol-type-select").addEventListener("change", () => {
+    updateSymbolEditorFields();
+    updateSymbolEditorPreview();
+  });
+  document.querySelectorAll("#symbol-editor-modal input").forEach( (input) => {
+    input.addEventListener("input", updateSymbolEditorPreview);
+  });
+  document.getElementById("symbol-style-select").addEventListener("change", updateSymbolEditorPreview);
+  document.getElementById("symbol-image-button").addEventListener("click", loadSymbolImage);
+  document.getElementById("save-symbol-button").addEventListener("click", saveEditedSymbol);
+  document.getElementById("symbol-modal-x").addEventListener("click", () => {
+    document.getElementById("symbol-editor-modal").style.display = "none";});
+  document.getElementById("sync-conflict-button").addEventListener("click", () => finishConflictResolution(false));
+  document.getElementById("sync-modal-x").addEventListener("click", () => finishConflictResolution(true));
+  document.getElementById("attribute-table-x").addEventListener("click", closeAttributeTable);
+  document.getElementById("select-all-button").addEventListener("click", () => selectAllAttributeRows(true));
+  document.getElementById("clear-selection-button").addEventListener("click", () => selectAllAttributeRows(false));
+  document.getElementById("zoom-selection-button").addEventListener("click", zoomToAttributeSelection);
+  document.getElementById("calculate-field-button").addEventListener("click", calculateField);
+  document.getElementById("edit-schema-button").addEventListener("click", openSchemaEditor);
+  document.getElementById("schema-feature-select").addEventListener("change", renderSchemaRows);
+  document.getElementById("add-field-button").addEventListener("click", () => {
+    const row = createSchemaRow();
+    row.open = true;
+    document.getElementById("schema-field-list").appendChild(row);
+  });
+  document.getElementById("save-schema-button").addEventListener("click", saveSchema);
+  document.getElementById("schema-modal-x").addEventListener("click", () => {
+    document.getElementById("schema-editor-modal").style.display = "none";});
+  document.getElementById("history-file-select").addEventListener("change", renderHistoryVersions);
+  document.getElementById("add-attachment-button").addEventListener("click", addAttachment);
+  document.getElementById("attachment-modal-x").addEventListener("click", closeAttachmentsModal);
+  document.getElementById("csv-import-button").addEventListener("click", importCSV);
+  document.getElementById("csv-modal-x").addEventListener("click", () => {
+    document.getElementById("csv-import-modal").style.display = "none";});
+
+  //Warn the user before leaving the page if any layer has edits that have not been saved.
+  window.addEventListener("beforeunload", (event) => {
+    if (editSessions.some( (session) => session.pendingCount > 0 )) {
+      event.preventDefault();
+      event.returnValue = "";
+    }
+  });
 }
   
@@ -0,0 +1,509 @@
+/**
+ * Places the files of a map project can be kept, and the zip reading and writing used to package projects. The module
+ * doesn't depend on the ArcGIS API so it can be loaded by index.js through the AMD loader and by tests in Node.
+ */
+(function (root, factory) {
+  if (typeof define == "function" && define.amd) {
+    define([], factory);
+  } else if (typeof module == "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.projectStorageModule = factory();
+  }
+})(this, () => {
+
+  class ProjectStorageAbstract {
+    /**
+     * Root abstract class for the places a project's files can be kept. Files are addressed by the name of their
+     * project directory (such as Layers or Features) and their file name, so project objects never deal
+     * with the underlying browser APIs. An empty directory name addresses files at the root of the project. Subclasses
+     * implement listing, reading, writing and removing files.
+     * @param {string} name Name of the project shown to the user.
+     */
+    constructor (name) {
+      this.name = name;
+      //Storages opened read-only refuse every change to their files.
+      this.readOnly = false;
+    }
+    /**
+     * Creates a project directory if it doesn't exist yet. Storages without real directories don't need to do anything.
+     * @param {string} directoryName 
+     */
+    async ensureDirectory(directoryName) {}
+    /**
+     * Lists the files in a project directory.
+     * @param {string} directoryName 
+     * @returns {Object[]} Array of objects with the name and lastModified time of each file.
+     */
+    async listFiles(directoryName) {
+      throw new Error(`${this.constructor.name} does not implement listFiles`);
+    }
+    /**
+     * Reads the contents of a file.
+     * @param {string} directoryName 
+     * @param {string} name 
+     * @returns {Object} Object with the text and lastModified time of the file.
+     */
+    async readFile(directoryName, name) {
+      throw new Error(`${this.constructor.name} does not implement readFile`);
+    }
+    /**
+     * Reads the contents of a file as binary data, used for files that aren't text such as attachments.
+     * @param {string} directoryName 
+     * @param {string} name 
+     * @returns {Blob}
+     */
+    async readBlob(directoryName, name) {
+      const {text} = await this.readFile(directoryName, name);
+      return (text instanceof Blob) ? text : new Blob([text]);
+    }
+    /**
+     * Replaces the contents of a file, creating it if it doesn't exist.
+     * @param {string} directoryName 
+     * @param {string} name 
+     * @param {string|Blob} text Text of the file, or a blob for binary files.
+     */
+    async writeFile(directoryName, name, text) {
+      throw new Error(`${this.constructor.name} does not implement writeFile`);
+    }
+    /**
+     * Deletes a file.
+     * @param {string} directoryName 
+     * @param {string} name 
+     */
+    async removeFile(directoryName, name) {
+      throw new Error(`${this.constructor.name} does not implement removeFile`);
+    }
+    /**
+     * Returns a handle that project objects use to read and write a single file in this storage.
+     * @param {string} directoryName 
+     * @param {string} name 
+     * @returns {StorageFileHandle}
+     */
+    getFileHandle(directoryName, name) {
+      return new StorageFileHandle(this, directoryName, name);
+    }
+  }
+
+  class StorageFileHandle {
+    /**
+     * Reference to a single file in a project storage.
+     * @param {ProjectStorageAbstract} storage The storage holding the file.
+     * @param {string} directoryName Project directory of the file.
+     * @param {string} name File name.
+     */
+    constructor (storage, directoryName, name) {
+      this.storage = storage;
+      this.directoryName = directoryName;
+      this.name = name;
+    }
+    /**
+     * @returns {Object} Object with the text and lastModified time of the file.
+     */
+    async read() {
+      return await this.storage.readFile(this.directoryName, this.name);
+    }
+    /**
+     * @param {string} text New contents of the file.
+     */
+    async write(text) {
+      await this.storage.writeFile(this.directoryName, this.name, text);
+    }
+  }
+
+  class FileSystemAccessStorage extends ProjectStorageAbstract {
+    /**
+     * Project storage in a local directory connected through the File System Access API.
+     * @param {FileSystemDirectoryHandle} directoryHandle Root directory of the project.
+     */
+    constructor (directoryHandle) {
+      super(directoryHandle.name);
+      this.directoryHandle = directoryHandle;
+    }
+    /**
+     * Returns the handle of a project directory, creating the directory if needed.
+     * @param {string} directoryName 
+     * @returns {FileSystemDirectoryHandle}
+     */
+    async getDirectoryHandle(directoryName) {
+      if (directoryName == "") {
+        return this.directoryHandle;
+      }
+      return await this.directoryHandle.getDirectoryHandle(directoryName, {create: true});
+    }
+    async ensureDirectory(directoryName) {
+      await this.getDirectoryHandle(directoryName);
+    }
+    async listFiles(directoryName) {
+      const directoryHandle = await this.getDirectoryHandle(directoryName);
+      const files = [];
+      for await (const entry of directoryHandle.values()) {
+        if (entry.kind == "file") {
+          const file = await entry.getFile();
+          files.push({name: entry.name, lastModified: file.lastModified});
+        }
+      }
+      return files;
+    }
+    async readFile(directoryName, name) {
+      const directoryHandle = await this.getDirectoryHandle(directoryName);
+      const fileHandle = await directoryHandle.getFileHandle(name);
+      const file = await fileHandle.getFile();
+      return {text: await file.text(), lastModified: file.lastModified};
+    }
+    async readBlob(directoryName, name) {
+      const directoryHandle = await this.getDirectoryHandle(directoryName);
+      const fileHandle = await directoryHandle.getFileHandle(name);
+      return await fileHandle.getFile();
+    }
+    async writeFile(directoryName, name, text) {
+      const directoryHandle = await this.getDirectoryHandle(directoryName);
+      const fileHandle = await directoryHandle.getFileHandle(name, {create: true});
+      const writable = await fileHandle.createWritable();
+      await writable.write(text);
+      await writable.close();
+    }
+    async removeFile(directoryName, name) {
+      const directoryHandle = await this.getDirectoryHandle(directoryName);
+      await directoryHandle.removeEntry(name);
+    }
+  }
+
+  class OriginPrivateStorage extends FileSystemAccessStorage {
+    /**
+     * Project storage in the browser's origin private file system, where every project is a directory at the root.
+     * It works like a connected local directory but doesn't need the directory picker.
+     * @param {string} projectName 
+     * @returns {OriginPrivateStorage}
+     */
+    static async open(projectName) {
+      const root = await navigator.storage.getDirectory();
+      return new this(await root.getDirectoryHandle(projectName, {create: true}));
+    }
+    /**
+     * Whether the browser can write to the origin private file system from the main thread.
+     * @returns {boolean}
+     */
+    static get isSupported() {
+      return Boolean(navigator.storage && navigator.storage.getDirectory && window.FileSystemFileHandle &&
+        FileSystemFileHandle.prototype.createWritable);
+    }
+  }
+
+  class IndexedDBStorage extends ProjectStorageAbstract {
+    /**
+     * Project storage in an IndexedDB database for browsers that can't write to the origin private file system. Every
+     * file is a record keyed by project name, directory and file name.
+     * @param {IDBDatabase} database 
+     * @param {string} projectName 
+     */
+    constructor (database, projectName) {
+      super(projectName);
+      this.database = database;
+    }
+    /**
+     * Opens the project database, creating it if needed.
+     * @param {string} projectName 
+     * @returns {IndexedDBStorage}
+     */
+    static async open(projectName) {
+      const request = indexedDB.open("feature-editor-projects", 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("files", {keyPath: ["project", "directory", "name"]});
+      };
+      return new this(await promisifyRequest(request), projectName);
+    }
+    /**
+     * Runs a request against the files object store inside its own transaction.
+     * @param {string} mode "readonly" or "readwrite"
+     * @param {Function} makeRequest Function receiving the object store and returning a request.
+     * @returns {*} Result of the request.
+     */
+    async request(mode, makeRequest) {
+      const store = this.database.transaction("files", mode).objectStore("files");
+      return await promisifyRequest(makeRequest(store));
+    }
+    async listFiles(directoryName) {
+      //Arrays sort after strings in IndexedDB keys, so this range covers every name in the directory.
+      const range = IDBKeyRange.bound([this.name, directoryName], [this.name, directoryName, []]);
+      const records = await this.request("readonly", (store) => store.getAll(range));
+      return records.map( (record) => ({name: record.name, lastModified: record.lastModified}) );
+    }
+    async readFile(directoryName, name) {
+      const record = await this.request("readonly", (store) => store.get([this.name, directoryName, name]));
+      if (!record) {
+        throw new Error(`${directoryName}/${name} does not exist`);
+      }
+      return {text: record.text, lastModified: record.lastModified};
+    }
+    async writeFile(directoryName, name, text) {
+      await this.request("readwrite", (store) => store.put({project: this.name, directory: directoryName, name: name,
+        text: text, lastModified: Date.now()}));
+    }
+    async removeFile(directoryName, name) {
+      await this.request("readwrite", (store) => store.delete([this.name, directoryName, name]));
+    }
+  }
+
+  class MemoryStorage extends ProjectStorageAbstract {
+    /**
+     * Project storage that only exists in memory, for automated tests and for looking at a zipped project without
+     * unpacking it. It can be seeded from a local directory or a zip of a project folder.
+     * @param {string} name 
+     * @param {Object} files Optional object mapping paths (directory/file name) to file text.
+     */
+    constructor (name, files = {}) {
+      super(name);
+      this.files = new Map();
+      for (const path in files) {
+        this.files.set(path, {text: files[path], lastModified: Date.now()});
+      }
+    }
+    /**
+     * Creates a storage holding a copy of every project file in a local directory.
+     * @param {FileSystemDirectoryHandle} directoryHandle 
+     * @param {string[]} directoryNames Names of the project directories to copy.
+     * @returns {MemoryStorage}
+     */
+    static async fromDirectory(directoryHandle, directoryNames) {
+      const source = new FileSystemAccessStorage(directoryHandle);
+      const storage = new this(directoryHandle.name);
+      for (const directoryName of directoryNames) {
+        for (const file of await source.listFiles(directoryName)) {
+          await storage.writeFile(directoryName, file.name, await source.readBlob(directoryName, file.name));
+        }
+      }
+      return storage;
+    }
+    /**
+     * Creates a storage holding the project files in a zip. The project directories and project.json may be at the
+     * root of the zip or inside a single top level folder, as produced by zipping a project folder.
+     * @param {Blob} blob The zip file.
+     * @param {string} name Name of the project.
+     * @param {string[]} directoryNames Names of the project directories whose files are read from the zip.
+     * @returns {MemoryStorage}
+     */
+    static async fromZip(blob, name, directoryNames) {
+      const entries = await readZip(blob);
+      const storage = new this(name);
+      const decoder = new TextDecoder();
+      entries.forEach( (data, entryPath) => {
+        //Only project.json and files directly inside a packaged directory are project files.
+        const parts = entryPath.split("/");
+        const [directoryName, fileName] = parts.slice(-2);
+        if (parts.length >= 2 && parts.length <= 3 && directoryNames.includes(directoryName)) {
+          //Attachments are kept as binary data, every other file is text.
+          const contents = (directoryName == "Attachments") ? new Blob([data]) : decoder.decode(data);
+          storage.files.set(`${directoryName}/${fileName}`, {text: contents, lastModified: Date.now()});
+        } else if (parts.length <= 2 && parts[parts.length - 1] == "project.json") {
+          storage.files.set("/project.json", {text: decoder.decode(data), lastModified: Date.now()});
+        }
+      });
+      return storage;
+    }
+    /**
+     * Throws if the storage is read-only.
+     * @param {string} directoryName 
+     * @param {string} name 
+     */
+    assertWritable(directoryName, name) {
+      if (this.readOnly) {
+        throw new Error(`${this.name} is open read-only, ${directoryName}/${name} can't be changed`);
+      }
+    }
+    async listFiles(directoryName) {
+      const files = [];
+      this.files.forEach( (file, path) => {
+        const [fileDirectory, name] = splitProjectPath(path);
+        if (fileDirectory == directoryName) {
+          files.push({name: name, lastModified: file.lastModified});
+        }
+      });
+      return files;
+    }
+    async readFile(directoryName, name) {
+      const file = this.files.get(`${directoryName}/${name}`);
+      if (!file) {
+        throw new Error(`${directoryName}/${name} does not exist`);
+      }
+      return {text: file.text, lastModified: file.lastModified};
+    }
+    async writeFile(directoryName, name, text) {
+      this.assertWritable(directoryName, name);
+      //Make sure consecutive writes can be told apart by their modification time.
+      const previous = this.files.get(`${directoryName}/${name}`);
+      const lastModified = Math.max(Date.now(), previous ? previous.lastModified + 1 : 0);
+      this.files.set(`${directoryName}/${name}`, {text: text, lastModified: lastModified});
+    }
+    async removeFile(directoryName, name) {
+      this.assertWritable(directoryName, name);
+      this.files.delete(`${directoryName}/${name}`);
+    }
+  }
+
+  /**
+   * Wraps an IndexedDB request in a promise.
+   * @param {IDBRequest} request 
+   * @returns {Promise} Resolves with the result of the request.
+   */
+  function promisifyRequest(request) {
+    return new Promise( (resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Reads the entries of a zip file. Only stored and deflated entries are supported, which covers zips made by the
+   * common operating system and archive tools.
+   * @param {Blob} blob 
+   * @returns {Map} Map of entry path to Uint8Array contents. Directory entries are left out.
+   */
+  async function readZip(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+
+    //The end of central directory record is at the end of the file, possibly followed by a comment.
+    let endOffset = buffer.byteLength - 22;
+    while (endOffset >= 0 && view.getUint32(endOffset, true) != 0x06054b50) {
+      endOffset--;
+    }
+    if (endOffset < 0) {
+      throw new Error("Not a zip file");
+    }
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) != 0x02014b50) {
+        throw new Error("Corrupt zip central directory");
+      }
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const entryPath = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (entryPath.endsWith("/")) {
+        continue;
+      }
+
+      //File data follows the local header, whose extra field can differ from the central directory's.
+      const localNameLength = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+      const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+      const compressed = new Uint8Array(buffer, dataStart, compressedSize);
+      if (method == 0) {
+        entries.set(entryPath, compressed.slice());
+      } else if (method == 8) {
+        const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        entries.set(entryPath, new Uint8Array(await new Response(stream).arrayBuffer()));
+      } else {
+        throw new Error(`Unsupported zip compression method ${method} for ${entryPath}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Writes files into a zip, compressing them with deflate.
+   * @param {Object[]} files Array of objects with the path of the entry and the data of the file, as text or a blob.
+   * @returns {Blob} The zip file.
+   */
+  async function writeZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const file of files) {
+      const name = encoder.encode(file.path);
+      const data = (typeof file.data == "string") ? encoder.encode(file.data) :
+        new Uint8Array(await file.data.arrayBuffer());
+      const stream = new Blob([data]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+      const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+      const crc = crc32(data);
+
+      //The local header and the central directory header share most of their fields, at different offsets.
+      const writeCommonFields = (header, start) => {
+        header.setUint16(start, 20, true); //Version needed to extract
+        header.setUint16(start + 2, 0x0800, true); //Names are UTF-8
+        header.setUint16(start + 4, 8, true); //Deflate
+        header.setUint16(start + 6, dosTime, true);
+        header.setUint16(start + 8, dosDate, true);
+        header.setUint32(start + 10, crc, true);
+        header.setUint32(start + 14, compressed.length, true);
+        header.setUint32(start + 18, data.length, true);
+        header.setUint16(start + 22, name.length, true);
+      };
+      const localHeader = new DataView(new ArrayBuffer(30));
+      localHeader.setUint32(0, 0x04034b50, true);
+      writeCommonFields(localHeader, 4);
+      localParts.push(localHeader, name, compressed);
+
+      const centralHeader = new DataView(new ArrayBuffer(46));
+      centralHeader.setUint32(0, 0x02014b50, true);
+      centralHeader.setUint16(4, 20, true); //Version made by
+      writeCommonFields(centralHeader, 6);
+      centralHeader.setUint32(42, offset, true);
+      centralParts.push(centralHeader, name);
+
+      offset += localHeader.byteLength + name.length + compressed.length;
+    }
+
+    const centralSize = centralParts.reduce( (size, part) => size + part.byteLength, 0 );
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...localParts, ...centralParts, end], {type: "application/zip"});
+  }
+
+  /**
+   * Calculates the CRC-32 checksum that zip files store for every entry.
+   * @param {Uint8Array} bytes 
+   * @returns {number}
+   */
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+      crc ^= byte;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+      }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Splits a project file path into its directory name and file name.
+   * @param {string} path 
+   * @returns {string[]} [directoryName, fileName]
+   */
+  function splitProjectPath(path) {
+    const separator = path.indexOf("/");
+    return [path.slice(0, separator), path.slice(separator + 1)];
+  }
+
+  return {
+    ProjectStorageAbstract,
+    StorageFileHandle,
+    FileSystemAccessStorage,
+    OriginPrivateStorage,
+    IndexedDBStorage,
+    MemoryStorage,
+    readZip,
+    writeZip,
+    splitProjectPath,
+  };
+});
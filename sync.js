@@ -0,0 +1,271 @@
+/**
+ * Syncing the local changes of features downloaded from a feature service back to the service. The module works on
+ * features in JSON form and talks to the service through a small adapter, so it doesn't depend on the ArcGIS API and
+ * can be tested in Node against the mock feature service in the test directory.
+ */
+(function (root, factory) {
+  if (typeof define == "function" && define.amd) {
+    define([], factory);
+  } else if (typeof module == "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.syncModule = factory();
+  }
+})(this, () => {
+
+  /**
+   * Compares two features in JSON form, ignoring differences in how the JSON was written such as attribute order or
+   * a spatial reference on the geometry.
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean} True if the features have the same attributes and geometry.
+   */
+  function sameFeatureJSON(a, b) {
+    const normalize = (feature) => {
+      const attributes = Object.keys(feature.attributes || {}).sort().map( (key) => [key, feature.attributes[key]] );
+      const geometry = Object.assign({}, feature.geometry);
+      ["spatialReference", "hasZ", "hasM"].forEach( (key) => {
+        if (!geometry[key] || key == "spatialReference") {
+          delete geometry[key];
+        }
+      });
+      return JSON.stringify([attributes, Object.keys(geometry).sort().map( (key) => [key, geometry[key]] )]);
+    };
+    return normalize(a) == normalize(b);
+  }
+
+  /**
+   * Compares features with the copy of the service's features made when they were downloaded, to find local changes.
+   * @param {string} objectIdFieldName
+   * @param {Object[]} originalFeatures Features as they were on the service, in JSON form.
+   * @param {Object[]} features Current features of the features file, in JSON form.
+   * @returns {Object} Object with the adds and deletes (arrays of features) and updates (array of objects with the
+   * original and local version of a feature).
+   */
+  function getLocalChanges(objectIdFieldName, originalFeatures, features) {
+    const getObjectId = (feature) => feature.attributes[objectIdFieldName];
+    const originals = new Map(originalFeatures.map( (feature) => [getObjectId(feature), feature] ));
+    const adds = [];
+    const updates = [];
+    features.forEach( (feature) => {
+      const original = originals.get(getObjectId(feature));
+      if (!original) {
+        adds.push(feature);
+      } else {
+        originals.delete(getObjectId(feature));
+        if (!sameFeatureJSON(original, feature)) {
+          updates.push({original: original, local: feature});
+        }
+      }
+    });
+    return {adds: adds, updates: updates, deletes: [...originals.values()]};
+  }
+
+  /**
+   * Submits the local changes of a features file to the feature service it was downloaded from. Features that were
+   * also changed on the service since they were downloaded are conflicts, which resolveConflicts settles before
+   * anything is submitted. Afterwards the features are re-read from the service, so the returned features match it.
+   *
+   * The service adapter has two functions: query(objectIds), returning a Map of object id to feature JSON for the
+   * features that exist, and applyEdits({adds, updates, deletes}) taking feature JSON (deletes as object ids) and
+   * returning {addFeatureResults, updateFeatureResults, deleteFeatureResults} with an objectId or error per edit.
+   * @param {Object} options Object with the objectIdFieldName and editDateField of the service, the sourceFeatures as
+   * they were downloaded, the localFeatures of the features file, the service adapter, resolveConflicts and an
+   * optional onProgress function receiving status messages. resolveConflicts receives an array of conflicts (the
+   * object id and the original, local and service versions of a feature, local or service missing if the feature was
+   * deleted there) and returns a Map of object id to "local", "service" or "skip", or undefined to cancel.
+   * @returns {Object} Object with the status ("unchanged", "cancelled" or "synced"). A synced result also has the
+   * new localFeatures and sourceFeatures, the movedIds (Map of previous to new local object id), the removedIds of
+   * local features dropped in favour of the service, the syncedCount and the failures (array of messages).
+   */
+  async function syncFeatures(options) {
+    const {objectIdFieldName, editDateField, service} = options;
+    const onProgress = options.onProgress || (() => {});
+    const getObjectId = (feature) => feature.attributes[objectIdFieldName];
+
+    const changes = getLocalChanges(objectIdFieldName, options.sourceFeatures, options.localFeatures);
+    if (changes.adds.length + changes.updates.length + changes.deletes.length == 0) {
+      return {status: "unchanged"};
+    }
+
+    let serviceFeatures;
+    try {
+      onProgress("Checking the feature service for conflicting changes...");
+      const changedIds = [...changes.updates.map( (update) => getObjectId(update.original) ),
+        ...changes.deletes.map( getObjectId )];
+      serviceFeatures = await service.query(changedIds);
+    } catch (error) {
+      throw new Error(`Could not reach the feature service: ${error.message}`);
+    }
+
+    //A feature conflicts if the service's copy is no longer the copy that was downloaded, judged by the edit date
+    //when the service tracks it.
+    const changedOnService = (original) => {
+      const current = serviceFeatures.get(getObjectId(original));
+      if (!current) {
+        return true;
+      }
+      return editDateField ? current.attributes[editDateField] != original.attributes[editDateField] :
+        !sameFeatureJSON(current, original);
+    };
+    //Features deleted on both sides need no further work.
+    const deletes = changes.deletes.filter( (feature) => serviceFeatures.has(getObjectId(feature)) );
+    const conflicts = [
+      ...changes.updates.filter( (update) => changedOnService(update.original) ).map( (update) => ({
+        id: getObjectId(update.original),
+        original: update.original,
+        local: update.local,
+        service: serviceFeatures.get(getObjectId(update.original)),
+      })),
+      ...deletes.filter( changedOnService ).map( (feature) => ({
+        id: getObjectId(feature),
+        original: feature,
+        local: undefined,
+        service: serviceFeatures.get(getObjectId(feature)),
+      })),
+    ];
+
+    const choices = (conflicts.length == 0) ? new Map() : await options.resolveConflicts(conflicts);
+    if (!choices) {
+      return {status: "cancelled"};
+    }
+    const conflictIds = new Set(conflicts.map( (conflict) => conflict.id ));
+    const submitted = (feature) => !conflictIds.has(getObjectId(feature)) ||
+      choices.get(getObjectId(feature)) == "local";
+
+    //Updates to features deleted on the service can only be kept by adding the feature again.
+    const readds = changes.updates.filter( (update) => submitted(update.local) &&
+      !serviceFeatures.has(getObjectId(update.original)) ).map( (update) => update.local );
+    const adds = [...changes.adds, ...readds];
+    const updates = changes.updates.filter( (update) => submitted(update.local) && !readds.includes(update.local) )
+      .map( (update) => update.local );
+    const deleted = deletes.filter( submitted );
+
+    let result = {addFeatureResults: [], updateFeatureResults: [], deleteFeatureResults: []};
+    try {
+      onProgress("Submitting changes to the feature service...");
+      if (adds.length + updates.length + deleted.length > 0) {
+        result = await service.applyEdits({
+          adds: adds.map( (feature) => {
+            const attributes = Object.assign({}, feature.attributes);
+            delete attributes[objectIdFieldName];
+            return Object.assign({}, feature, {attributes: attributes});
+          }),
+          updates: updates,
+          deletes: deleted.map( getObjectId ),
+        });
+      }
+    } catch (error) {
+      throw new Error(`The feature service rejected the changes: ${error.message}`);
+    }
+
+    //Work out the new local id of every feature the service accepted, and what went wrong with the rest.
+    const failures = [];
+    const newIds = new Map();
+    adds.forEach( (feature, index) => {
+      const addResult = result.addFeatureResults[index];
+      if (addResult.error) {
+        failures.push(`Adding feature ${getObjectId(feature)}: ${addResult.error.message}`);
+      } else {
+        newIds.set(getObjectId(feature), addResult.objectId);
+      }
+    });
+    updates.forEach( (feature, index) => {
+      const updateResult = result.updateFeatureResults[index];
+      if (updateResult.error) {
+        failures.push(`Updating feature ${getObjectId(feature)}: ${updateResult.error.message}`);
+      } else {
+        newIds.set(getObjectId(feature), getObjectId(feature));
+      }
+    });
+    const deletedIds = new Set();
+    deleted.forEach( (feature, index) => {
+      const deleteResult = result.deleteFeatureResults[index];
+      if (deleteResult.error) {
+        failures.push(`Deleting feature ${getObjectId(feature)}: ${deleteResult.error.message}`);
+      } else {
+        deletedIds.add(getObjectId(feature));
+      }
+    });
+
+    //Features are re-read from the service after submitting so the local copies include the service's edit dates.
+    const keptFromService = conflicts.filter( (conflict) => choices.get(conflict.id) == "service" );
+    let refreshed;
+    try {
+      refreshed = await service.query([...newIds.values()]);
+    } catch (error) {
+      throw new Error(`The changes were submitted but could not be read back: ${error.message}`);
+    }
+    const deletedOnService = new Set();
+    keptFromService.forEach( (conflict) => {
+      if (conflict.service) {
+        refreshed.set(conflict.id, conflict.service);
+      } else {
+        deletedOnService.add(conflict.id);
+        deletedIds.add(conflict.id);
+      }
+    });
+    changes.deletes.filter( (feature) => !serviceFeatures.has(getObjectId(feature)) )
+      .forEach( (feature) => deletedIds.add(getObjectId(feature)) );
+
+    //Bring the local features up to date, restoring features the user chose to keep from the service.
+    const localFeatures = [];
+    const localIds = new Set();
+    const previousIds = new Map();
+    options.localFeatures.forEach( (feature) => {
+      const id = getObjectId(feature);
+      if (deletedOnService.has(id)) {
+        return;
+      }
+      const newId = newIds.has(id) ? newIds.get(id) : id;
+      const synced = newIds.has(id) || keptFromService.some( (conflict) => conflict.id == id );
+      localIds.add(newId);
+      const localFeature = (synced && refreshed.get(newId)) || feature;
+      localFeature.attributes[objectIdFieldName] = newId;
+      localFeatures.push(localFeature);
+      previousIds.set(localFeature, id);
+    });
+    keptFromService.filter( (conflict) => conflict.service && !localIds.has(conflict.id) )
+      .forEach( (conflict) => localFeatures.push(conflict.service) );
+
+    //Local features that weren't submitted keep their ids, unless a submitted feature now uses the same id.
+    let nextId = 1;
+    localFeatures.forEach( (feature) => {
+      nextId = Math.max(nextId, getObjectId(feature) + 1);
+    });
+    const serviceIds = new Set(refreshed.keys());
+    localFeatures.forEach( (feature) => {
+      const id = getObjectId(feature);
+      if (serviceIds.has(id) && refreshed.get(id) != feature) {
+        feature.attributes[objectIdFieldName] = nextId++;
+      }
+    });
+
+    const movedIds = new Map();
+    previousIds.forEach( (previousId, feature) => {
+      if (getObjectId(feature) != previousId) {
+        movedIds.set(previousId, getObjectId(feature));
+      }
+    });
+
+    const sourceFeatures = new Map(options.sourceFeatures.map( (feature) => [getObjectId(feature), feature] ));
+    deletedIds.forEach( (id) => sourceFeatures.delete(id) );
+    refreshed.forEach( (feature, id) => sourceFeatures.set(id, feature) );
+
+    return {
+      status: "synced",
+      localFeatures: localFeatures,
+      sourceFeatures: [...sourceFeatures.values()],
+      movedIds: movedIds,
+      removedIds: [...deletedOnService],
+      syncedCount: newIds.size + deletedIds.size,
+      failures: failures,
+    };
+  }
+
+  return {
+    sameFeatureJSON,
+    getLocalChanges,
+    syncFeatures,
+  };
+});
@@ -0,0 +1,256 @@
+/**
+ * A feature service layer kept in memory, answering the REST requests the application makes while downloading and
+ * syncing features: the layer description, query and applyEdits. Tests create one with createMockFeatureService and
+ * change its features directly to play another user editing the service. Running this file starts a service with a
+ * few sample points that the application can download from and sync to, at the URL it prints.
+ */
+const http = require("node:http");
+
+/**
+ * Starts a mock feature service on a free port of this machine.
+ * @param {Object} options Optional objectIdField, editDateField (set to false for a service that doesn't track edit
+ * dates), fields, geometryType, spatialReference, features (JSON) and maxRecordCount.
+ * @returns {Promise<Object>} Object with the layer url, the features (Map of object id to feature JSON), a log of the
+ * requests made, editFeature, rejectEdit (replaceable function deciding which edits fail) and close.
+ */
+async function createMockFeatureService(options = {}) {
+  const objectIdField = options.objectIdField || "OBJECTID";
+  const editDateField = (options.editDateField === false) ? undefined : (options.editDateField || "EditDate");
+  const fields = options.fields || [
+    {name: objectIdField, alias: objectIdField, type: "esriFieldTypeOID"},
+    {name: "Name", alias: "Name", type: "esriFieldTypeString", length: 255},
+    ...(editDateField ? [{name: editDateField, alias: editDateField, type: "esriFieldTypeDate", editable: false}] : []),
+  ];
+  const geometryType = options.geometryType || "esriGeometryPoint";
+  const spatialReference = options.spatialReference || {wkid: 4326};
+  const maxRecordCount = options.maxRecordCount || 1000;
+
+  const features = new Map();
+  let nextId = 1;
+  let editTime = Date.UTC(2024, 0, 1);
+  const stampEdit = (feature) => {
+    if (editDateField) {
+      feature.attributes[editDateField] = editTime++;
+    }
+  };
+  (options.features || []).forEach( (feature) => {
+    const copy = JSON.parse(JSON.stringify(feature));
+    if (copy.attributes[objectIdField] == undefined) {
+      copy.attributes[objectIdField] = nextId;
+    }
+    stampEdit(copy);
+    features.set(copy.attributes[objectIdField], copy);
+    nextId = Math.max(nextId, copy.attributes[objectIdField] + 1);
+  });
+
+  const service = {
+    features: features,
+    requests: [],
+    /**
+     * Decides whether the service rejects an edit, tests replace it to make edits fail.
+     * @param {string} kind "add", "update" or "delete"
+     * @param {Object} feature The submitted feature, or for deletes an object with the object id as attribute.
+     * @returns {boolean}
+     */
+    rejectEdit(kind, feature) {
+      return false;
+    },
+    /**
+     * Changes a feature the way another user of the service would, giving it a new edit date.
+     * @param {number} objectId
+     * @param {Object} attributes Attributes to change.
+     */
+    editFeature(objectId, attributes) {
+      const feature = features.get(objectId);
+      Object.assign(feature.attributes, attributes);
+      stampEdit(feature);
+    },
+  };
+
+  const describeLayer = () => ({
+    currentVersion: 10.9,
+    id: 0,
+    name: "Mock features",
+    type: "Feature Layer",
+    geometryType: geometryType,
+    objectIdField: objectIdField,
+    fields: fields,
+    extent: {xmin: -180, ymin: -90, xmax: 180, ymax: 90, spatialReference: spatialReference},
+    sourceSpatialReference: spatialReference,
+    maxRecordCount: maxRecordCount,
+    capabilities: "Query,Create,Update,Delete,Editing",
+    supportsApplyEditsWithGlobalIds: false,
+    editFieldsInfo: editDateField ? {editDateField: editDateField} : null,
+    advancedQueryCapabilities: {supportsPagination: true},
+  });
+
+  const query = (params) => {
+    let matches = [...features.values()];
+    if (params.objectIds) {
+      const ids = new Set(String(params.objectIds).split(",").filter( (id) => id != "" ).map(Number));
+      matches = matches.filter( (feature) => ids.has(feature.attributes[objectIdField]) );
+    }
+    if (params.returnCountOnly == "true") {
+      return {count: matches.length};
+    }
+    if (params.returnIdsOnly == "true") {
+      return {objectIdFieldName: objectIdField,
+        objectIds: matches.map( (feature) => feature.attributes[objectIdField] )};
+    }
+    const offset = Number(params.resultOffset) || 0;
+    const count = Math.min(Number(params.resultRecordCount) || maxRecordCount, maxRecordCount);
+    const page = matches.slice(offset, offset + count);
+    return {
+      objectIdFieldName: objectIdField,
+      geometryType: geometryType,
+      spatialReference: spatialReference,
+      fields: fields,
+      exceededTransferLimit: offset + count < matches.length,
+      features: page.map( (feature) => (params.returnGeometry == "false") ?
+        {attributes: Object.assign({}, feature.attributes)} : JSON.parse(JSON.stringify(feature)) ),
+    };
+  };
+
+  const editResult = (objectId, error) => error ?
+    {objectId: objectId, success: false, error: {code: 1000, description: error}} :
+    {objectId: objectId, success: true};
+
+  const applyEdits = (params) => {
+    const parse = (value) => value ? JSON.parse(value) : [];
+    const addResults = parse(params.adds).map( (feature) => {
+      if (service.rejectEdit("add", feature)) {
+        return editResult(-1, "Add rejected");
+      }
+      const added = {attributes: Object.assign({}, feature.attributes, {[objectIdField]: nextId++}),
+        geometry: feature.geometry};
+      stampEdit(added);
+      features.set(added.attributes[objectIdField], added);
+      return editResult(added.attributes[objectIdField]);
+    });
+    const updateResults = parse(params.updates).map( (feature) => {
+      const objectId = feature.attributes[objectIdField];
+      if (!features.has(objectId)) {
+        return editResult(objectId, "Object is missing");
+      }
+      if (service.rejectEdit("update", feature)) {
+        return editResult(objectId, "Update rejected");
+      }
+      const existing = features.get(objectId);
+      Object.assign(existing.attributes, feature.attributes);
+      if (feature.geometry) {
+        existing.geometry = feature.geometry;
+      }
+      stampEdit(existing);
+      return editResult(objectId);
+    });
+    const deleteIds = params.deletes ? String(params.deletes).replace(/[[\]]/g, "").split(",").filter( (id) =>
+      id.trim() != "" ).map(Number) : [];
+    const deleteResults = deleteIds.map( (objectId) => {
+      if (!features.has(objectId)) {
+        return editResult(objectId, "Object is missing");
+      }
+      if (service.rejectEdit("delete", {attributes: {[objectIdField]: objectId}})) {
+        return editResult(objectId, "Delete rejected");
+      }
+      features.delete(objectId);
+      return editResult(objectId);
+    });
+    return {addResults: addResults, updateResults: updateResults, deleteResults: deleteResults};
+  };
+
+  const readBody = (request) => new Promise( (resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const params = Object.fromEntries(url.searchParams);
+    if (request.method == "POST") {
+      Object.assign(params, Object.fromEntries(new URLSearchParams(await readBody(request))));
+    }
+    const path = url.pathname.replace(/\/+$/, "");
+    service.requests.push({path: path, params: params});
+
+    let body;
+    if (path.endsWith("/FeatureServer/0")) {
+      body = describeLayer();
+    } else if (path.endsWith("/FeatureServer")) {
+      body = {currentVersion: 10.9, layers: [{id: 0, name: "Mock features", geometryType: geometryType}]};
+    } else if (path.endsWith("/FeatureServer/0/query")) {
+      body = query(params);
+    } else if (path.endsWith("/FeatureServer/0/applyEdits")) {
+      body = applyEdits(params);
+    } else {
+      body = {error: {code: 404, message: "Not found"}};
+    }
+    //The application runs on another origin, so the service has to allow cross origin requests.
+    response.writeHead(200, {"Content-Type": "application/json", "Access-Control-Allow-Origin": "*"});
+    response.end(JSON.stringify(body));
+  });
+
+  await new Promise( (resolve) => server.listen(options.port || 0, "127.0.0.1", resolve) );
+  service.url = `http://127.0.0.1:${server.address().port}/arcgis/rest/services/Mock/FeatureServer/0`;
+  service.close = () => new Promise( (resolve) => server.close(resolve) );
+  return service;
+}
+
+/**
+ * Service adapter for syncFeatures that talks to a feature service through its REST API, as the tests do.
+ * @param {string} url URL of the feature service layer.
+ * @param {string} objectIdField
+ * @returns {Object} Adapter with query and applyEdits.
+ */
+function createRestAdapter(url, objectIdField) {
+  const request = async (operation, params, method = "GET") => {
+    const body = new URLSearchParams(Object.assign({f: "json"}, params));
+    const response = (method == "GET") ? await fetch(`${url}/${operation}?${body}`) :
+      await fetch(`${url}/${operation}`, {method: "POST", body: body});
+    const json = await response.json();
+    if (json.error) {
+      throw new Error(json.error.message);
+    }
+    return json;
+  };
+  const toResults = (results) => results.map( (result) => result.success ? {objectId: result.objectId} :
+    {objectId: result.objectId, error: {message: result.error.description}} );
+  return {
+    async query(objectIds) {
+      const features = new Map();
+      if (objectIds.length > 0) {
+        const json = await request("query", {objectIds: objectIds.join(","), outFields: "*", returnGeometry: true});
+        json.features.forEach( (feature) => features.set(feature.attributes[objectIdField], feature) );
+      }
+      return features;
+    },
+    async applyEdits(edits) {
+      const json = await request("applyEdits", {adds: JSON.stringify(edits.adds),
+        updates: JSON.stringify(edits.updates), deletes: edits.deletes.join(",")}, "POST");
+      return {
+        addFeatureResults: toResults(json.addResults),
+        updateFeatureResults: toResults(json.updateResults),
+        deleteFeatureResults: toResults(json.deleteResults),
+      };
+    },
+  };
+}
+
+module.exports = {createMockFeatureService, createRestAdapter};
+
+if (require.main == module) {
+  const port = Number(process.argv[2]) || 8087;
+  createMockFeatureService({
+    port: port,
+    features: [
+      {attributes: {Name: "Amsterdam"}, geometry: {x: 4.9, y: 52.37}},
+      {attributes: {Name: "Utrecht"}, geometry: {x: 5.12, y: 52.09}},
+      {attributes: {Name: "Rotterdam"}, geometry: {x: 4.48, y: 51.92}},
+    ],
+  }).then( (service) => {
+    console.log(`Mock feature service running at ${service.url}`);
+  });
+}
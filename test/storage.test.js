@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  FileSystemAccessStorage,
+  MemoryStorage,
+  readZip,
+  writeZip,
+  splitProjectPath,
+} = require("../storage.js");
+
+/**
+ * Minimal in-memory stand-in for a FileSystemDirectoryHandle, covering the calls FileSystemAccessStorage makes.
+ */
+class FakeDirectoryHandle {
+  constructor (name) {
+    this.kind = "directory";
+    this.name = name;
+    this.entries = new Map();
+  }
+  async getDirectoryHandle(name, options = {}) {
+    if (!this.entries.has(name)) {
+      if (!options.create) {
+        throw new Error(`${name} not found`);
+      }
+      this.entries.set(name, new FakeDirectoryHandle(name));
+    }
+    return this.entries.get(name);
+  }
+  async getFileHandle(name, options = {}) {
+    if (!this.entries.has(name)) {
+      if (!options.create) {
+        throw new Error(`${name} not found`);
+      }
+      this.entries.set(name, new FakeFileHandle(name));
+    }
+    return this.entries.get(name);
+  }
+  async removeEntry(name) {
+    this.entries.delete(name);
+  }
+  async *values() {
+    yield* this.entries.values();
+  }
+}
+
+class FakeFileHandle {
+  constructor (name) {
+    this.kind = "file";
+    this.name = name;
+    this.blob = new Blob([]);
+    this.lastModified = Date.now();
+  }
+  async getFile() {
+    return Object.assign(new Blob([this.blob]), {name: this.name, lastModified: this.lastModified});
+  }
+  async createWritable() {
+    const parts = [];
+    return {
+      write: async (data) => parts.push(data),
+      close: async () => {
+        this.blob = new Blob(parts);
+        this.lastModified = Date.now();
+      },
+    };
+  }
+}
+
+test("MemoryStorage reads, lists, writes and removes files", async () => {
+  const storage = new MemoryStorage("Test", {"Features/a.json": "{}", "Layers/b.json": "[]"});
+  assert.deepStrictEqual((await storage.listFiles("Features")).map( (file) => file.name ), ["a.json"]);
+  assert.strictEqual((await storage.readFile("Layers", "b.json")).text, "[]");
+
+  const before = (await storage.readFile("Features", "a.json")).lastModified;
+  await storage.writeFile("Features", "a.json", "{\"features\":[]}");
+  const after = await storage.readFile("Features", "a.json");
+  assert.strictEqual(after.text, "{\"features\":[]}");
+  assert.ok(after.lastModified > before, "consecutive writes get later modification times");
+
+  await storage.removeFile("Features", "a.json");
+  assert.deepStrictEqual(await storage.listFiles("Features"), []);
+  await assert.rejects(storage.readFile("Features", "a.json"), /does not exist/);
+});
+
+test("MemoryStorage refuses changes when read-only", async () => {
+  const storage = new MemoryStorage("Test", {"Features/a.json": "{}"});
+  storage.readOnly = true;
+  await assert.rejects(storage.writeFile("Features", "a.json", "[]"), /read-only/);
+  await assert.rejects(storage.removeFile("Features", "a.json"), /read-only/);
+  assert.strictEqual((await storage.readFile("Features", "a.json")).text, "{}");
+});
+
+test("readBlob returns text files and binary files as blobs", async () => {
+  const storage = new MemoryStorage("Test", {"Features/a.json": "{}"});
+  await storage.writeFile("Attachments", "a.json~1~photo.png", new Blob([new Uint8Array([1, 2, 3])]));
+  assert.strictEqual(await (await storage.readBlob("Features", "a.json")).text(), "{}");
+  const bytes = new Uint8Array(await (await storage.readBlob("Attachments", "a.json~1~photo.png")).arrayBuffer());
+  assert.deepStrictEqual([...bytes], [1, 2, 3]);
+});
+
+test("file handles read and write through their storage", async () => {
+  const storage = new MemoryStorage("Test");
+  const handle = storage.getFileHandle("Symbols", "s.json");
+  await handle.write("{\"type\":\"esriSMS\"}");
+  assert.strictEqual((await handle.read()).text, "{\"type\":\"esriSMS\"}");
+  assert.strictEqual(handle.directoryName, "Symbols");
+});
+
+test("FileSystemAccessStorage uses the directories of the connected folder", async () => {
+  const root = new FakeDirectoryHandle("Project");
+  const storage = new FileSystemAccessStorage(root);
+  await storage.ensureDirectory("Features");
+  await storage.writeFile("Features", "a.json", "{}");
+  await storage.writeFile("", "project.json", "{\"basemap\":\"osm\"}");
+
+  assert.strictEqual(storage.name, "Project");
+  assert.deepStrictEqual((await storage.listFiles("Features")).map( (file) => file.name ), ["a.json"]);
+  assert.strictEqual((await storage.readFile("", "project.json")).text, "{\"basemap\":\"osm\"}");
+  assert.strictEqual(await (await storage.readBlob("Features", "a.json")).text(), "{}");
+
+  await storage.removeFile("Features", "a.json");
+  assert.deepStrictEqual(await storage.listFiles("Features"), []);
+});
+
+test("MemoryStorage copies the project directories of a local folder", async () => {
+  const root = new FakeDirectoryHandle("Project");
+  const folder = new FileSystemAccessStorage(root);
+  await folder.writeFile("Features", "a.json", "{}");
+  await folder.writeFile("Other", "b.txt", "ignored");
+
+  const storage = await MemoryStorage.fromDirectory(root, ["Features", "Layers"]);
+  assert.strictEqual(storage.name, "Project");
+  assert.strictEqual(await (await storage.readBlob("Features", "a.json")).text(), "{}");
+  assert.deepStrictEqual(await storage.listFiles("Other"), []);
+});
+
+test("writeZip output is read back by readZip", async () => {
+  const zip = await writeZip([
+    {path: "Features/a.json", data: "{\"features\":[]}"},
+    {path: "Attachments/a.json~1~photo.png", data: new Blob([new Uint8Array([0, 255, 7])])},
+  ]);
+  const entries = await readZip(zip);
+  assert.deepStrictEqual([...entries.keys()], ["Features/a.json", "Attachments/a.json~1~photo.png"]);
+  assert.strictEqual(new TextDecoder().decode(entries.get("Features/a.json")), "{\"features\":[]}");
+  assert.deepStrictEqual([...entries.get("Attachments/a.json~1~photo.png")], [0, 255, 7]);
+});
+
+test("writeZip stores the CRC-32 of every entry", async () => {
+  const zip = new DataView(await (await writeZip([{path: "check.txt", data: "123456789"}])).arrayBuffer());
+  assert.strictEqual(zip.getUint32(0, true), 0x04034b50);
+  assert.strictEqual(zip.getUint32(14, true), 0xcbf43926);
+});
+
+test("MemoryStorage opens a zipped project folder", async () => {
+  const zip = await writeZip([
+    {path: "Sample/project.json", data: "{\"basemap\":\"topo\"}"},
+    {path: "Sample/Features/a.json", data: "{}"},
+    {path: "Sample/Attachments/a.json~1~photo.png", data: new Blob([new Uint8Array([9])])},
+    {path: "Sample/Notes/readme.txt", data: "not a project file"},
+    {path: "Sample/Features/nested/b.json", data: "{}"},
+  ]);
+  const storage = await MemoryStorage.fromZip(zip, "Sample", ["Features", "Attachments"]);
+
+  assert.strictEqual((await storage.readFile("", "project.json")).text, "{\"basemap\":\"topo\"}");
+  assert.deepStrictEqual((await storage.listFiles("Features")).map( (file) => file.name ), ["a.json"]);
+  assert.ok((await storage.readFile("Attachments", "a.json~1~photo.png")).text instanceof Blob);
+  assert.deepStrictEqual(await storage.listFiles("Notes"), []);
+});
+
+test("readZip rejects files that aren't zips", async () => {
+  await assert.rejects(readZip(new Blob(["not a zip at all, just some text"])), /Not a zip file/);
+});
+
+test("splitProjectPath separates the directory from the file name", () => {
+  assert.deepStrictEqual(splitProjectPath("Features/a.json"), ["Features", "a.json"]);
+  assert.deepStrictEqual(splitProjectPath("/project.json"), ["", "project.json"]);
+});
@@ -0,0 +1,263 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {getLocalChanges, sameFeatureJSON, syncFeatures} = require("../sync.js");
+const {createMockFeatureService, createRestAdapter} = require("./mock-feature-service.js");
+
+/**
+ * Starts a mock service with three points and downloads them, as the download widget does.
+ * @param {Object} options Options for the mock service.
+ * @returns {Object} Object with the service, its adapter, and copies of the downloaded features for the source and
+ * the local features file.
+ */
+async function downloadProject(options = {}) {
+  const service = await createMockFeatureService(Object.assign({
+    features: [
+      {attributes: {Name: "A"}, geometry: {x: 1, y: 1}},
+      {attributes: {Name: "B"}, geometry: {x: 2, y: 2}},
+      {attributes: {Name: "C"}, geometry: {x: 3, y: 3}},
+    ],
+  }, options));
+  const adapter = createRestAdapter(service.url, "OBJECTID");
+  const downloaded = [...(await adapter.query([1, 2, 3])).values()];
+  return {
+    service: service,
+    adapter: adapter,
+    sourceFeatures: JSON.parse(JSON.stringify(downloaded)),
+    localFeatures: JSON.parse(JSON.stringify(downloaded)),
+  };
+}
+
+/**
+ * Syncs the local features of a downloaded project, answering conflicts with the given choices.
+ * @param {Object} project As returned by downloadProject.
+ * @param {Object} choices Object mapping object ids to "local", "service" or "skip", or null to cancel.
+ * @param {string} editDateField Edit date field of the service, null if it doesn't track edit dates.
+ * @returns {Object} The result of syncFeatures, with the conflicts that were offered.
+ */
+async function sync(project, choices = {}, editDateField = "EditDate") {
+  let offered = [];
+  const result = await syncFeatures({
+    objectIdFieldName: "OBJECTID",
+    editDateField: editDateField,
+    sourceFeatures: project.sourceFeatures,
+    localFeatures: project.localFeatures,
+    service: project.adapter,
+    resolveConflicts: async (conflicts) => {
+      offered = conflicts;
+      return choices ? new Map(Object.entries(choices).map( ([id, choice]) => [Number(id), choice] )) : undefined;
+    },
+  });
+  return Object.assign(result, {conflicts: offered});
+}
+
+const byId = (features) => new Map(features.map( (feature) => [feature.attributes.OBJECTID, feature] ));
+
+test("features compare equal regardless of attribute order and geometry spatial reference", () => {
+  assert.ok(sameFeatureJSON({attributes: {a: 1, b: 2}, geometry: {x: 1, y: 2, spatialReference: {wkid: 4326}}},
+    {attributes: {b: 2, a: 1}, geometry: {y: 2, x: 1}}));
+  assert.ok(!sameFeatureJSON({attributes: {a: 1}, geometry: {x: 1, y: 2}},
+    {attributes: {a: 2}, geometry: {x: 1, y: 2}}));
+});
+
+test("local changes are found by comparing with the downloaded features", () => {
+  const original = [{attributes: {OBJECTID: 1, Name: "A"}}, {attributes: {OBJECTID: 2, Name: "B"}}];
+  const local = [{attributes: {OBJECTID: 1, Name: "A2"}}, {attributes: {OBJECTID: 5, Name: "New"}}];
+  const changes = getLocalChanges("OBJECTID", original, local);
+  assert.deepStrictEqual(changes.adds.map( (feature) => feature.attributes.OBJECTID ), [5]);
+  assert.deepStrictEqual(changes.updates.map( (update) => update.local.attributes.Name ), ["A2"]);
+  assert.deepStrictEqual(changes.deletes.map( (feature) => feature.attributes.OBJECTID ), [2]);
+});
+
+test("nothing is submitted without local changes", async () => {
+  const project = await downloadProject();
+  try {
+    const result = await sync(project);
+    assert.strictEqual(result.status, "unchanged");
+    assert.ok(!project.service.requests.some( (request) => request.path.endsWith("applyEdits") ));
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("changes without conflicts are submitted and read back", async () => {
+  const project = await downloadProject();
+  try {
+    const local = byId(project.localFeatures);
+    local.get(1).attributes.Name = "A edited";
+    project.localFeatures = project.localFeatures.filter( (feature) => feature.attributes.OBJECTID != 2 );
+    project.localFeatures.push({attributes: {OBJECTID: 4, Name: "D"}, geometry: {x: 4, y: 4}});
+
+    const result = await sync(project);
+    assert.strictEqual(result.status, "synced");
+    assert.deepStrictEqual(result.conflicts, []);
+    assert.deepStrictEqual(result.failures, []);
+
+    assert.strictEqual(project.service.features.get(1).attributes.Name, "A edited");
+    assert.ok(!project.service.features.has(2));
+    assert.strictEqual(project.service.features.get(4).attributes.Name, "D");
+
+    //The local copies carry the service's new edit dates, so a second sync finds nothing to do.
+    const synced = byId(result.localFeatures);
+    assert.strictEqual(synced.get(1).attributes.EditDate, project.service.features.get(1).attributes.EditDate);
+    project.sourceFeatures = result.sourceFeatures;
+    project.localFeatures = result.localFeatures;
+    assert.strictEqual((await sync(project)).status, "unchanged");
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("a feature changed on both sides is a conflict that can keep the local version", async () => {
+  const project = await downloadProject();
+  try {
+    byId(project.localFeatures).get(1).attributes.Name = "Local";
+    project.service.editFeature(1, {Name: "Service"});
+
+    const result = await sync(project, {1: "local"});
+    assert.deepStrictEqual(result.conflicts.map( (conflict) => conflict.id ), [1]);
+    assert.strictEqual(result.conflicts[0].service.attributes.Name, "Service");
+    assert.strictEqual(project.service.features.get(1).attributes.Name, "Local");
+    assert.strictEqual(byId(result.localFeatures).get(1).attributes.Name, "Local");
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("a conflict can keep the service's version", async () => {
+  const project = await downloadProject();
+  try {
+    byId(project.localFeatures).get(1).attributes.Name = "Local";
+    project.service.editFeature(1, {Name: "Service"});
+
+    const result = await sync(project, {1: "service"});
+    assert.strictEqual(project.service.features.get(1).attributes.Name, "Service");
+    assert.strictEqual(byId(result.localFeatures).get(1).attributes.Name, "Service");
+    assert.strictEqual(byId(result.sourceFeatures).get(1).attributes.Name, "Service");
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("a skipped conflict stays a local change", async () => {
+  const project = await downloadProject();
+  try {
+    byId(project.localFeatures).get(1).attributes.Name = "Local";
+    project.service.editFeature(1, {Name: "Service"});
+
+    const result = await sync(project, {1: "skip"});
+    assert.strictEqual(project.service.features.get(1).attributes.Name, "Service");
+    assert.strictEqual(byId(result.localFeatures).get(1).attributes.Name, "Local");
+    const changes = getLocalChanges("OBJECTID", result.sourceFeatures, result.localFeatures);
+    assert.strictEqual(changes.updates.length, 1);
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("cancelling the conflict resolution submits nothing", async () => {
+  const project = await downloadProject();
+  try {
+    byId(project.localFeatures).get(1).attributes.Name = "Local";
+    byId(project.localFeatures).get(2).attributes.Name = "Other";
+    project.service.editFeature(1, {Name: "Service"});
+
+    const result = await sync(project, null);
+    assert.strictEqual(result.status, "cancelled");
+    assert.strictEqual(project.service.features.get(2).attributes.Name, "B");
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("a feature deleted locally but changed on the service can be restored from the service", async () => {
+  const project = await downloadProject();
+  try {
+    project.localFeatures = project.localFeatures.filter( (feature) => feature.attributes.OBJECTID != 2 );
+    project.service.editFeature(2, {Name: "Service"});
+
+    const result = await sync(project, {2: "service"});
+    assert.strictEqual(result.conflicts[0].local, undefined);
+    assert.ok(project.service.features.has(2));
+    assert.strictEqual(byId(result.localFeatures).get(2).attributes.Name, "Service");
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("a feature changed locally but deleted on the service is added again when kept", async () => {
+  const project = await downloadProject();
+  try {
+    byId(project.localFeatures).get(3).attributes.Name = "Local";
+    project.service.features.delete(3);
+
+    const result = await sync(project, {3: "local"});
+    assert.strictEqual(result.conflicts[0].service, undefined);
+    const added = [...project.service.features.values()].find( (feature) => feature.attributes.Name == "Local" );
+    assert.ok(added, "the feature is added to the service again");
+    assert.strictEqual(result.movedIds.get(3), added.attributes.OBJECTID);
+    assert.ok(byId(result.localFeatures).has(added.attributes.OBJECTID));
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("a feature changed locally but deleted on the service is removed when the service wins", async () => {
+  const project = await downloadProject();
+  try {
+    byId(project.localFeatures).get(3).attributes.Name = "Local";
+    project.service.features.delete(3);
+
+    const result = await sync(project, {3: "service"});
+    assert.deepStrictEqual(result.removedIds, [3]);
+    assert.ok(!byId(result.localFeatures).has(3));
+    assert.ok(!byId(result.sourceFeatures).has(3));
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("local features whose id was taken by an added feature are renumbered", async () => {
+  const project = await downloadProject();
+  try {
+    //Feature 4 is unknown to the service, which gives a new feature on the service id 4 first.
+    await project.adapter.applyEdits({adds: [{attributes: {Name: "Elsewhere"}, geometry: {x: 0, y: 0}}],
+      updates: [], deletes: []});
+    project.service.rejectEdit = (kind, feature) => kind == "add" && feature.attributes.Name == "Rejected";
+    project.localFeatures.push({attributes: {OBJECTID: 5, Name: "Rejected"}, geometry: {x: 5, y: 5}});
+    project.localFeatures.push({attributes: {OBJECTID: 6, Name: "New"}, geometry: {x: 6, y: 6}});
+
+    const result = await sync(project);
+    assert.strictEqual(result.failures.length, 1);
+    assert.match(result.failures[0], /Adding feature 5: Add rejected/);
+    //The accepted feature becomes service feature 5, so the rejected local feature 5 moves out of its way.
+    assert.strictEqual(result.movedIds.get(6), 5);
+    const rejected = result.localFeatures.find( (feature) => feature.attributes.Name == "Rejected" );
+    assert.strictEqual(result.movedIds.get(5), rejected.attributes.OBJECTID);
+    const ids = result.localFeatures.map( (feature) => feature.attributes.OBJECTID );
+    assert.strictEqual(new Set(ids).size, ids.length, "local ids stay unique");
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("without edit dates, conflicts are found by comparing attributes and geometry", async () => {
+  const project = await downloadProject({editDateField: false});
+  try {
+    byId(project.localFeatures).get(1).attributes.Name = "Local";
+    byId(project.localFeatures).get(2).attributes.Name = "Local too";
+    project.service.editFeature(1, {Name: "Service"});
+
+    const result = await sync(project, {1: "skip"}, null);
+    assert.deepStrictEqual(result.conflicts.map( (conflict) => conflict.id ), [1]);
+    assert.strictEqual(project.service.features.get(2).attributes.Name, "Local too");
+  } finally {
+    await project.service.close();
+  }
+});
+
+test("an unreachable service is reported", async () => {
+  const project = await downloadProject();
+  await project.service.close();
+  byId(project.localFeatures).get(1).attributes.Name = "Local";
+  await assert.rejects(sync(project), /Could not reach the feature service/);
+});